@@ -1,18 +1,545 @@
 /**
  * Requester.js Service Worker
- * Handles notification action buttons and background notifications
+ * Handles notification action buttons, background and scheduled notifications
+ *
+ * Pages talk to it through a small RPC protocol over MessageChannel (see Requester#callServiceWorker).
+ * Add your own handlers without forking this file, either from your own worker:
+ *   importScripts('/requester-sw.js');
+ *   self.requesterSW.registerHandler('myMethod', async (params, event) => ...);
+ * or by listing extension scripts on the registration URL (settings.serviceWorkerExtensions):
+ *   /requester-sw.js?extension=/my-handlers.js
  */
 
-// Store for notification callbacks
+// Bump whenever the page <-> worker message format changes; Requester's handshake compares it
+const PROTOCOL_VERSION = 2;
+
+// IndexedDB store for notification callbacks (survives service worker restarts)
+const DB_NAME = 'requester-sw';
+const DB_VERSION = 2;
+const CALLBACK_STORE = 'notificationCallbacks';
+const SCHEDULE_STORE = 'scheduledNotifications';
+
+// Periodic Background Sync tag the page registers as a wake-up for scheduled notifications
+const SCHEDULE_SYNC_TAG = 'requester-scheduled-notifications';
+
+// Timers further out than this don't keep the worker alive; periodic sync or the next wake-up catches them
+const MAX_HELD_TIMER = 4 * 60 * 1000;
+
+// Default lifetime of stored callbacks when the page doesn't send one
+const DEFAULT_CALLBACK_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Named repeats that step in local calendar days, so 'at 09:00' stays at 09:00 across DST changes
+const CALENDAR_REPEAT_DAYS = { daily: 1, weekly: 7 };
+
+// In-memory cache in front of IndexedDB
 const notificationCallbacks = new Map();
 
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the service worker database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CALLBACK_STORE)) {
+          const store = db.createObjectStore(CALLBACK_STORE, { keyPath: 'tag' });
+          store.createIndex('expiresAt', 'expiresAt');
+        }
+        if (!db.objectStoreNames.contains(SCHEDULE_STORE)) {
+          const store = db.createObjectStore(SCHEDULE_STORE, { keyPath: 'id' });
+          store.createIndex('fireAt', 'fireAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @returns {Promise<*>} The request result
+ */
+async function runTransaction(storeName, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Persist callbacks metadata for a notification tag
+ */
+async function storeCallbacks(tag, callbacks, ttl = DEFAULT_CALLBACK_TTL) {
+  const entry = {
+    tag,
+    callbacks,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttl
+  };
+  notificationCallbacks.set(tag, entry);
+
+  try {
+    await runTransaction(CALLBACK_STORE, 'readwrite', store => store.put(entry));
+  } catch (error) {
+    console.error('Requester.js SW: Failed to persist notification callbacks:', error);
+  }
+}
+
+/**
+ * Look up callbacks metadata for a notification tag
+ * @returns {Promise<Object|null>}
+ */
+async function getCallbacks(tag) {
+  let entry = notificationCallbacks.get(tag);
+
+  if (!entry) {
+    try {
+      entry = await runTransaction(CALLBACK_STORE, 'readonly', store => store.get(tag));
+    } catch (error) {
+      console.error('Requester.js SW: Failed to read notification callbacks:', error);
+    }
+  }
+
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    await deleteCallbacks(tag);
+    return null;
+  }
+
+  notificationCallbacks.set(tag, entry);
+  return entry.callbacks;
+}
+
+/**
+ * Remove callbacks metadata for a notification tag
+ */
+async function deleteCallbacks(tag) {
+  notificationCallbacks.delete(tag);
+
+  try {
+    await runTransaction(CALLBACK_STORE, 'readwrite', store => store.delete(tag));
+  } catch (error) {
+    console.error('Requester.js SW: Failed to delete notification callbacks:', error);
+  }
+}
+
+/**
+ * Remove every stored entry whose lifetime has passed
+ */
+async function pruneExpiredCallbacks() {
+  const now = Date.now();
+
+  for (const [tag, entry] of notificationCallbacks) {
+    if (entry.expiresAt <= now) notificationCallbacks.delete(tag);
+  }
+
+  try {
+    await runTransaction(CALLBACK_STORE, 'readwrite', store => {
+      const request = store.index('expiresAt').openCursor(IDBKeyRange.upperBound(now));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      return null;
+    });
+  } catch (error) {
+    console.error('Requester.js SW: Failed to prune notification callbacks:', error);
+  }
+}
+
+/**
+ * Post a message to the client that created the notification, or to every window client
+ * when there is none (push) or it has been closed
+ */
+async function postToClients(message, clientId = null) {
+  message = { ...message, version: PROTOCOL_VERSION };
+
+  if (clientId) {
+    const client = await self.clients.get(clientId);
+    if (client) {
+      client.postMessage(message);
+      return;
+    }
+  }
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// Notification Triggers let the browser show a notification at a time without waking us up
+const hasNotificationTriggers = typeof TimestampTrigger !== 'undefined' &&
+  typeof Notification !== 'undefined' && 'showTrigger' in Notification.prototype;
+
+let scheduleTimer = null;
+
+/**
+ * All stored schedules, soonest first
+ * @returns {Promise<Object[]>}
+ */
+async function getSchedules() {
+  try {
+    return await runTransaction(SCHEDULE_STORE, 'readonly', store => store.index('fireAt').getAll());
+  } catch (error) {
+    console.error('Requester.js SW: Failed to read scheduled notifications:', error);
+    return [];
+  }
+}
+
+/**
+ * Insert or replace a schedule
+ */
+function saveSchedule(schedule) {
+  return runTransaction(SCHEDULE_STORE, 'readwrite', store => store.put(schedule));
+}
+
+/**
+ * Remove a schedule
+ */
+function deleteSchedule(id) {
+  return runTransaction(SCHEDULE_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * First occurrence of a repeating schedule after now (missed occurrences are skipped)
+ * @returns {number|null}
+ */
+function nextOccurrence(schedule, now = Date.now()) {
+  if (!schedule.interval) return null;
+
+  const days = CALENDAR_REPEAT_DAYS[schedule.repeat];
+  if (days) {
+    const next = new Date(schedule.fireAt);
+    do {
+      next.setDate(next.getDate() + days);
+    } while (next.getTime() <= now);
+    return next.getTime();
+  }
+
+  const missed = Math.floor((now - schedule.fireAt) / schedule.interval) + 1;
+  return schedule.fireAt + Math.max(1, missed) * schedule.interval;
+}
+
+/**
+ * Show a scheduled notification now, or hand it to the browser with a trigger
+ */
+async function showScheduledNotification(schedule, showTrigger = null) {
+  // Callbacks have to outlive the wait as well as the notification itself
+  const ttl = (schedule.callbackTTL || DEFAULT_CALLBACK_TTL) + Math.max(0, schedule.fireAt - Date.now());
+  await storeCallbacks(schedule.tag, schedule.callbacks, ttl);
+
+  const options = { ...schedule.notification, tag: schedule.tag, actions: schedule.actions || [] };
+  if (showTrigger) options.showTrigger = showTrigger;
+
+  return self.registration.showNotification(schedule.title, options);
+}
+
+/**
+ * Store a new schedule, using a Notification Trigger for one-off schedules when the browser has them
+ */
+async function addSchedule(schedule) {
+  if (hasNotificationTriggers && !schedule.interval) {
+    await showScheduledNotification(schedule, new TimestampTrigger(schedule.fireAt));
+    schedule.triggered = true;
+  }
+  await saveSchedule(schedule);
+  await processSchedules();
+  return describeSchedule(schedule);
+}
+
+/**
+ * Drop a schedule and any notification already handed to the browser for it
+ * @returns {Promise<boolean>} Whether the schedule existed
+ */
+async function cancelSchedule(id) {
+  const schedule = await runTransaction(SCHEDULE_STORE, 'readonly', store => store.get(id));
+  if (!schedule) return false;
+
+  await deleteSchedule(id);
+  if (schedule.triggered) {
+    const pending = await self.registration.getNotifications({ tag: schedule.tag, includeTriggered: true });
+    pending.forEach(notification => notification.close());
+  }
+  await deleteCallbacks(schedule.tag);
+  return true;
+}
+
+/**
+ * Show everything that is due and move repeating schedules to their next occurrence
+ */
+async function processSchedules() {
+  const now = Date.now();
+  const due = (await getSchedules()).filter(schedule => schedule.fireAt <= now);
+
+  for (const schedule of due) {
+    try {
+      // Triggered schedules were already shown by the browser
+      if (!schedule.triggered) await showScheduledNotification(schedule);
+
+      const next = nextOccurrence(schedule, now);
+      if (next) {
+        await saveSchedule({ ...schedule, fireAt: next });
+      } else {
+        await deleteSchedule(schedule.id);
+      }
+    } catch (error) {
+      console.error('Requester.js SW: Failed to show scheduled notification:', error);
+    }
+  }
+}
+
+/**
+ * Resolve with true after the delay, or false if the timer is replaced first
+ */
+function waitForScheduleTimer(delay) {
+  if (scheduleTimer) {
+    clearTimeout(scheduleTimer.id);
+    scheduleTimer.resolve(false);
+  }
+
+  return new Promise(resolve => {
+    scheduleTimer = {
+      id: setTimeout(() => {
+        scheduleTimer = null;
+        resolve(true);
+      }, delay),
+      resolve
+    };
+  });
+}
+
+/**
+ * Set a timer for the next untriggered schedule
+ * The returned promise only waits for timers short enough to keep the worker alive for
+ */
+async function armScheduleTimer() {
+  const pending = (await getSchedules()).filter(schedule => !schedule.triggered);
+  if (pending.length === 0) return;
+
+  const delay = Math.max(0, pending[0].fireAt - Date.now());
+  const timer = waitForScheduleTimer(delay).then(fired => {
+    if (fired) return processSchedules().then(armScheduleTimer);
+  });
+
+  if (delay <= MAX_HELD_TIMER) return timer;
+}
+
+/**
+ * Public shape of a schedule for the page
+ */
+function describeSchedule(schedule) {
+  return {
+    id: schedule.id,
+    title: schedule.title,
+    body: schedule.notification.body,
+    tag: schedule.tag,
+    fireAt: schedule.fireAt,
+    repeat: schedule.repeat || null,
+    triggered: !!schedule.triggered,
+    createdAt: schedule.createdAt
+  };
+}
+
+/**
+ * ID of the client that sent a message, used to route notification events back to that tab
+ */
+function sourceId(event) {
+  return event.source && event.source.id ? event.source.id : null;
+}
+
+const rpcHandlers = new Map();
+
+/**
+ * Register a method pages can call with requester.callServiceWorker(name, params)
+ * @param {string} name - Method name
+ * @param {Function} handler - (params, event) => result or Promise of a structured-cloneable result
+ */
+function registerHandler(name, handler) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Requester.js SW: Handler for "${name}" must be a function`);
+  }
+  rpcHandlers.set(name, handler);
+}
+
+/**
+ * Error carrying one of RequesterError's codes back to the page
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Acknowledge an RPC request right away, then answer it with the handler's result or error
+ */
+async function handleRpc(event) {
+  const { id, method, params } = event.data;
+  const port = event.ports && event.ports[0];
+  if (!port) return;
+
+  port.postMessage({ id, ack: true, version: PROTOCOL_VERSION });
+
+  let response;
+  try {
+    const handler = rpcHandlers.get(method);
+    if (!handler) throw rpcError('unsupported', `Unknown Service Worker method: ${method}`);
+    response = { id, ok: true, result: await handler(params || {}, event) };
+  } catch (error) {
+    response = {
+      id,
+      ok: false,
+      error: { code: error.code || 'unknown', message: error.message || String(error) }
+    };
+  }
+  port.postMessage(response);
+}
+
+registerHandler('handshake', () => ({
+  version: PROTOCOL_VERSION,
+  methods: Array.from(rpcHandlers.keys())
+}));
+
+registerHandler('storeNotificationCallbacks', async ({ tag, callbacks, ttl }, event) => {
+  await storeCallbacks(tag, { ...normalizeCallbacks(callbacks), clientId: sourceId(event) }, ttl);
+  await pruneExpiredCallbacks();
+});
+
+registerHandler('scheduleNotification', async ({ schedule }, event) => {
+  schedule.callbacks = { ...normalizeCallbacks(schedule.callbacks), clientId: sourceId(event) };
+  const result = await addSchedule(schedule);
+  event.waitUntil(armScheduleTimer());
+  return result;
+});
+
+registerHandler('cancelScheduledNotification', async ({ id }, event) => {
+  const cancelled = await cancelSchedule(id);
+  event.waitUntil(armScheduleTimer());
+  return cancelled;
+});
+
+registerHandler('listScheduledNotifications', async () => {
+  await processSchedules();
+  return (await getSchedules()).map(describeSchedule);
+});
+
+registerHandler('checkScheduledNotifications', async (params, event) => {
+  await processSchedules();
+  event.waitUntil(armScheduleTimer());
+});
+
 // Listen for messages from the main thread
 self.addEventListener('message', (event) => {
-  if (event.data.type === 'STORE_NOTIFICATION_CALLBACKS') {
-    notificationCallbacks.set(event.data.tag, event.data.callbacks);
+  const data = event.data || {};
+
+  if (data.type === 'REQUESTER_RPC') {
+    event.waitUntil(handleRpc(event));
+    return;
+  }
+
+  // Fire-and-forget format sent by older versions of requester.js
+  if (data.type === 'STORE_NOTIFICATION_CALLBACKS') {
+    event.waitUntil(
+      storeCallbacks(data.tag, { ...data.callbacks, clientId: sourceId(event) }, data.ttl)
+        .then(pruneExpiredCallbacks)
+    );
+  }
+});
+
+// Periodic wake-up for schedules whose timers died with the worker
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SCHEDULE_SYNC_TAG) {
+    event.waitUntil(processSchedules().then(armScheduleTimer));
   }
 });
 
+/**
+ * Resolve a (possibly relative) URL against the service worker scope
+ */
+function resolveUrl(url) {
+  return new URL(url, self.registration.scope).href;
+}
+
+/**
+ * Legacy click behaviour: focus any open window, or open the given URL
+ */
+async function focusAnyOrOpen(url) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  // Check if there's already a window open
+  for (const client of clients) {
+    if ('focus' in client) {
+      return client.focus();
+    }
+  }
+  // If not, open a new window
+  if (self.clients.openWindow) {
+    return self.clients.openWindow(resolveUrl(url));
+  }
+}
+
+/**
+ * Carry out a declarative notification action without needing an open page
+ * Supported: { openUrl }, { focusOrOpen }, { postToUrl, body, headers }, { dismiss }
+ */
+async function performAction(clickAction) {
+  if (!clickAction || clickAction.dismiss) return;
+
+  if (clickAction.openUrl) {
+    if (self.clients.openWindow) {
+      return self.clients.openWindow(resolveUrl(clickAction.openUrl));
+    }
+    return;
+  }
+
+  if (clickAction.focusOrOpen) {
+    const target = resolveUrl(clickAction.focusOrOpen);
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = clients.find(client => client.url === target && 'focus' in client);
+    if (existing) {
+      return existing.focus();
+    }
+    if (self.clients.openWindow) {
+      return self.clients.openWindow(target);
+    }
+    return;
+  }
+
+  if (clickAction.postToUrl) {
+    const isString = typeof clickAction.body === 'string';
+    try {
+      await fetch(resolveUrl(clickAction.postToUrl), {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': isString ? 'text/plain' : 'application/json',
+          ...clickAction.headers
+        },
+        body: isString ? clickAction.body : JSON.stringify(clickAction.body ?? {})
+      });
+    } catch (error) {
+      console.error('Requester.js SW: Notification action request failed:', error);
+    }
+  }
+}
+
 // Handle notification clicks
 self.addEventListener('notificationclick', (event) => {
   const notification = event.notification;
@@ -20,57 +547,35 @@ self.addEventListener('notificationclick', (event) => {
   
   event.notification.close();
 
-  // Get stored callbacks for this notification
-  const callbacks = notificationCallbacks.get(notification.tag);
-  
-  if (callbacks) {
-    // If an action button was clicked
-    if (action && callbacks.buttons) {
-      const button = callbacks.buttons.find(btn => btn.action === action);
-      if (button && button.callback) {
-        // Send message to all clients to execute the callback
-        event.waitUntil(
-          self.clients.matchAll({ type: 'window' }).then(clients => {
-            clients.forEach(client => {
-              client.postMessage({
-                type: 'NOTIFICATION_ACTION_CLICKED',
-                action: action,
-                tag: notification.tag,
-                data: notification.data
-              });
-            });
-          })
-        );
-      }
-    } else if (callbacks.onClick) {
-      // Main notification body clicked
-      event.waitUntil(
-        self.clients.matchAll({ type: 'window' }).then(clients => {
-          clients.forEach(client => {
-            client.postMessage({
-              type: 'NOTIFICATION_CLICKED',
-              tag: notification.tag,
-              data: notification.data
-            });
-          });
-        })
-      );
-    }
-  }
-
-  // Focus or open a window
   event.waitUntil(
-    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
-      // Check if there's already a window open
-      for (const client of clients) {
-        if ('focus' in client) {
-          return client.focus();
-        }
+    getCallbacks(notification.tag).then(async callbacks => {
+      const button = action && callbacks && callbacks.buttons
+        ? callbacks.buttons.find(btn => btn.action === action)
+        : null;
+
+      // Notify the page so it can run its own callbacks
+      if (button && button.onClick) {
+        await postToClients({
+          type: 'NOTIFICATION_ACTION_CLICKED',
+          action: action,
+          tag: notification.tag,
+          data: notification.data
+        }, callbacks.clientId);
+      } else if (!action && callbacks && callbacks.onClick) {
+        // Main notification body clicked
+        await postToClients({
+          type: 'NOTIFICATION_CLICKED',
+          tag: notification.tag,
+          data: notification.data
+        }, callbacks.clientId);
       }
-      // If not, open a new window
-      if (self.clients.openWindow) {
-        return self.clients.openWindow('/');
+
+      // Run the button's own action, then the notification's, then the legacy default
+      const clickAction = (button && button.clickAction) || (callbacks && callbacks.clickAction);
+      if (clickAction) {
+        return performAction(clickAction);
       }
+      return focusAnyOrOpen((callbacks && callbacks.defaultUrl) || self.registration.scope);
     })
   );
 });
@@ -78,22 +583,127 @@ self.addEventListener('notificationclick', (event) => {
 // Handle notification close
 self.addEventListener('notificationclose', (event) => {
   const notification = event.notification;
-  const callbacks = notificationCallbacks.get(notification.tag);
-  
-  if (callbacks && callbacks.onClose) {
-    self.clients.matchAll({ type: 'window' }).then(clients => {
-      clients.forEach(client => {
-        client.postMessage({
+
+  event.waitUntil(
+    getCallbacks(notification.tag).then(async callbacks => {
+      if (callbacks && callbacks.onClose) {
+        await postToClients({
           type: 'NOTIFICATION_CLOSED',
           tag: notification.tag,
           data: notification.data
-        });
-      });
-    });
+        }, callbacks.clientId);
+      }
+
+      // Clean up stored callbacks
+      await deleteCallbacks(notification.tag);
+    })
+  );
+});
+
+/**
+ * Keep only the declarative action fields the service worker knows how to run
+ * This is the one place click actions are validated, pages and push payloads send them as given
+ * Supported: { openUrl }, { focusOrOpen: url }, { postToUrl, body, headers }, { dismiss: true }
+ */
+function pickClickAction(source) {
+  if (!source || typeof source !== 'object') return null;
+
+  if (source.dismiss) return { dismiss: true };
+  if (source.openUrl) return { openUrl: source.openUrl };
+  if (source.focusOrOpen) return { focusOrOpen: source.focusOrOpen };
+  if (source.postToUrl) {
+    return { postToUrl: source.postToUrl, body: source.body, headers: source.headers };
   }
-  
-  // Clean up stored callbacks
-  notificationCallbacks.delete(notification.tag);
+  return null;
+}
+
+/**
+ * Validate the click actions of stored callbacks and lift clickAction.defaultUrl, the page a plain click opens
+ */
+function normalizeCallbacks(callbacks = {}) {
+  const defaultUrl = callbacks.clickAction && callbacks.clickAction.defaultUrl;
+  return {
+    ...callbacks,
+    buttons: (callbacks.buttons || []).map(btn => ({ ...btn, clickAction: pickClickAction(btn.clickAction) })),
+    clickAction: pickClickAction(callbacks.clickAction),
+    defaultUrl: typeof defaultUrl === 'string' ? defaultUrl : null
+  };
+}
+
+/**
+ * Turn a push payload into a notification
+ * Payload: { title, body, icon, badge, image, tag, data, buttons | actions, clickAction, ... }
+ */
+async function showPushNotification(data) {
+  let payload = {};
+  if (data) {
+    try {
+      payload = data.json();
+    } catch (error) {
+      payload = { body: data.text() };
+    }
+  }
+
+  const tag = payload.tag || `push-${Date.now()}`;
+  const buttons = (payload.buttons || payload.actions || []).map((btn, idx) => ({
+    ...btn,
+    action: btn.action || `action-${idx}`
+  }));
+
+  // Same metadata shape as the page stores, so clicks route the same way
+  await storeCallbacks(tag, normalizeCallbacks({
+    buttons: buttons.map(btn => ({
+      action: btn.action,
+      onClick: false,
+      clickAction: btn
+    })),
+    onClick: false,
+    onClose: false,
+    clickAction: payload.clickAction
+  }), payload.callbackTTL);
+
+  return self.registration.showNotification(payload.title || 'Notification', {
+    body: payload.body,
+    icon: payload.icon,
+    tag: tag,
+    badge: payload.badge,
+    image: payload.image,
+    data: payload.data,
+    requireInteraction: payload.requireInteraction,
+    silent: payload.silent,
+    vibrate: payload.vibrate,
+    actions: buttons.map((btn, idx) => ({
+      action: btn.action,
+      title: btn.label || btn.title || `Button ${idx + 1}`,
+      icon: btn.icon
+    }))
+  });
+}
+
+// Handle incoming push messages
+self.addEventListener('push', (event) => {
+  event.waitUntil(showPushNotification(event.data));
+});
+
+// Handle push subscription expiry/rotation
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil((async () => {
+    let subscription = event.newSubscription;
+
+    if (!subscription && event.oldSubscription) {
+      try {
+        subscription = await self.registration.pushManager.subscribe(event.oldSubscription.options);
+      } catch (error) {
+        console.error('Requester.js SW: Push resubscribe failed:', error);
+      }
+    }
+
+    await postToClients({
+      type: 'PUSH_SUBSCRIPTION_CHANGED',
+      subscription: subscription ? subscription.toJSON() : null,
+      oldSubscription: event.oldSubscription ? event.oldSubscription.toJSON() : null
+    });
+  })());
 });
 
 // Service worker installation
@@ -105,5 +715,31 @@ self.addEventListener('install', (event) => {
 // Service worker activation
 self.addEventListener('activate', (event) => {
   console.log('Requester.js Service Worker activated');
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    Promise.all([
+      self.clients.claim(),
+      pruneExpiredCallbacks(),
+      processSchedules().then(armScheduleTimer)
+    ])
+  );
 });
+
+// Extension hook for scripts loaded with importScripts()
+self.requesterSW = {
+  version: PROTOCOL_VERSION,
+  registerHandler,
+  postToClients
+};
+
+// Extensions listed on the registration URL (?extension=/a.js&extension=/b.js)
+// Only same-origin scripts are loaded, so an injected registration can't pin third-party code in the worker
+const extensionScripts = new URL(self.location.href).searchParams.getAll('extension')
+  .filter(script => {
+    const sameOrigin = new URL(script, self.location.href).origin === self.location.origin;
+    if (!sameOrigin) console.error('Requester.js SW: Ignoring cross-origin extension script:', script);
+    return sameOrigin;
+  })
+  .map(script => new URL(script, self.location.href).href);
+if (extensionScripts.length > 0) {
+  importScripts(...extensionScripts);
+}
@@ -3,789 +3,5387 @@
  * @version 2.0.0 - Now with Service Worker support for notification buttons!
  */
 
-class Requester {
+/**
+ * Error raised (or passed to onDecline/onError) by every Requester request method
+ */
+class RequesterError extends Error {
+  /**
+   * @param {string} code - One of RequesterError.codes
+   * @param {string} message - Human readable message
+   * @param {Object} details - capability and original cause
+   */
+  constructor(code, message, { capability = null, cause = null } = {}) {
+    super(message);
+    this.name = 'RequesterError';
+    this.code = code;
+    this.capability = capability;
+    this.cause = cause;
+  }
+
+  /**
+   * Wrap any thrown value (DOMException, GeolocationPositionError, string...) in a RequesterError
+   * @param {*} error - Original error
+   * @param {string} capability - Capability name (camera, notifications, ...)
+   * @param {string} prefix - Optional message prefix
+   * @returns {RequesterError}
+   */
+  static from(error, capability = null, prefix = null) {
+    if (error instanceof RequesterError) {
+      if (!error.capability) error.capability = capability;
+      return error;
+    }
+
+    const codes = RequesterError.codes;
+    const rawMessage = typeof error === 'string' ? error : (error && error.message) || 'Unknown error';
+    const message = prefix ? `${prefix}: ${rawMessage}` : rawMessage;
+    let code = codes.UNKNOWN;
+
+    if (error && typeof error.code === 'number' && 'PERMISSION_DENIED' in error) {
+      // GeolocationPositionError
+      code = {
+        [error.PERMISSION_DENIED]: codes.PERMISSION_DENIED,
+        [error.POSITION_UNAVAILABLE]: codes.HARDWARE_UNAVAILABLE,
+        [error.TIMEOUT]: codes.TIMEOUT
+      }[error.code] || codes.UNKNOWN;
+    } else if (error && error.name) {
+      switch (error.name) {
+        case 'NotAllowedError':
+        case 'PermissionDeniedError':
+          code = codes.PERMISSION_DENIED;
+          break;
+        case 'SecurityError':
+          code = typeof window !== 'undefined' && window.isSecureContext === false
+            ? codes.INSECURE_CONTEXT
+            : codes.PERMISSION_DENIED;
+          break;
+        case 'NotFoundError':
+        case 'DevicesNotFoundError':
+        case 'OverconstrainedError':
+          // Web Bluetooth reports a cancelled chooser as NotFoundError
+          code = /cancel/i.test(rawMessage) ? codes.DISMISSED : codes.HARDWARE_UNAVAILABLE;
+          break;
+        case 'NotReadableError':
+        case 'TrackStartError':
+          code = codes.IN_USE;
+          break;
+        case 'AbortError':
+          code = codes.DISMISSED;
+          break;
+        case 'TimeoutError':
+          code = codes.TIMEOUT;
+          break;
+        case 'NotSupportedError':
+          code = codes.UNSUPPORTED;
+          break;
+        case 'TypeError':
+          code = codes.INVALID_ARGUMENT;
+          break;
+      }
+    }
+
+    return new RequesterError(code, message, { capability, cause: error });
+  }
+}
+
+/**
+ * Stable error codes
+ */
+RequesterError.codes = Object.freeze({
+  UNSUPPORTED: 'unsupported',
+  INSECURE_CONTEXT: 'insecure-context',
+  PERMISSION_DENIED: 'permission-denied',
+  DISMISSED: 'dismissed',
+  HARDWARE_UNAVAILABLE: 'hardware-unavailable',
+  IN_USE: 'in-use',
+  TIMEOUT: 'timeout',
+  INVALID_ARGUMENT: 'invalid-argument',
+  SOFT_DECLINED: 'soft-declined',
+  UNKNOWN: 'unknown'
+});
+
+/**
+ * Permissions API descriptors for each capability Requester handles
+ */
+const CAPABILITY_PERMISSIONS = Object.freeze({
+  camera: { name: 'camera' },
+  microphone: { name: 'microphone' },
+  notifications: { name: 'notifications' },
+  push: { name: 'push', userVisibleOnly: true },
+  geolocation: { name: 'geolocation' },
+  midi: { name: 'midi' },
+  clipboard: { name: 'clipboard-read' },
+  bluetooth: { name: 'bluetooth' },
+  screen: { name: 'display-capture' },
+  orientation: { name: 'accelerometer' }
+});
+
+/**
+ * Minimal event subscription shared by Requester helper objects
+ */
+class RequesterEmitter {
   constructor() {
-    this.settings = {
-      showErrorPopup: true,
-      errorPopupDuration: 3000,
-      errorPopupStyle: {
-        position: 'fixed',
-        top: '20px',
-        right: '20px',
-        padding: '15px 20px',
-        background: '#f44336',
-        color: 'white',
-        borderRadius: '5px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
-        zIndex: '10000',
-        fontFamily: 'Arial, sans-serif',
-        maxWidth: '300px'
-      },
-      onAccept: null,
-      onDecline: null,
-      onError: null,
-      useServiceWorker: false,
-      serviceWorkerPath: '/requester-sw.js'
+    this._listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} callback - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(callback);
+    return () => this._listeners.get(event).delete(callback);
+  }
+
+  /**
+   * Emit an event to subscribers
+   * @private
+   */
+  _emit(event, detail) {
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      listeners.forEach(callback => callback(detail));
+    }
+  }
+}
+
+/**
+ * Keeps track of named media streams, device switching and hot-plug events
+ * Events: 'added', 'removed', 'trackended', 'trackreplaced', 'deviceunplugged', 'devicechange', 'ended'
+ */
+class MediaStreamManager extends RequesterEmitter {
+  constructor() {
+    super();
+    this.streams = new Map();
+    this._onDeviceChange = this._handleDeviceChange.bind(this);
+    this._watchingDevices = false;
+  }
+
+  /**
+   * Track a stream under a name (a stream already tracked under that name is stopped)
+   * @param {string} name - Stream name
+   * @param {MediaStream} stream - Stream to track
+   * @param {Object} options - kind ('camera', 'microphone', 'screen', ...) and onEnded callback
+   * @returns {MediaStream}
+   */
+  add(name, stream, options = {}) {
+    const previous = this.streams.get(name);
+    if (previous && previous.stream !== stream) {
+      this.stop(name);
+    }
+
+    const entry = {
+      name,
+      stream,
+      kind: options.kind || name,
+      onEnded: options.onEnded || null,
+      trackListeners: new Map()
     };
-    
-    this.activeStreams = {
-      camera: null,
-      microphone: null,
-      screen: null
+    this.streams.set(name, entry);
+    stream.getTracks().forEach(track => this._watchTrack(entry, track));
+
+    this._watchDevices();
+    this._emit('added', { name, stream });
+    return stream;
+  }
+
+  /**
+   * Get a tracked stream
+   * @param {string} name - Stream name
+   * @returns {MediaStream|null}
+   */
+  get(name) {
+    const entry = this.streams.get(name);
+    return entry ? entry.stream : null;
+  }
+
+  /**
+   * Check if a stream is tracked
+   * @param {string} name - Stream name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.streams.has(name);
+  }
+
+  /**
+   * List tracked streams
+   * @returns {Array<{name: string, kind: string, stream: MediaStream}>}
+   */
+  list() {
+    return Array.from(this.streams.values()).map(({ name, kind, stream }) => ({ name, kind, stream }));
+  }
+
+  /**
+   * Find the name a stream is tracked under
+   * @param {MediaStream} stream - Stream to look up
+   * @returns {string|null}
+   */
+  nameOf(stream) {
+    const entry = this._findEntry(stream);
+    return entry ? entry.name : null;
+  }
+
+  /**
+   * Stop every track of a stream and forget it
+   * @param {string} name - Stream name
+   */
+  stop(name) {
+    const entry = this.streams.get(name);
+    if (!entry) return;
+
+    entry.stream.getTracks().forEach(track => this._stopTrack(entry, track));
+    this._remove(entry);
+  }
+
+  /**
+   * Stop only the audio or video tracks of a stream, so the rest keeps running
+   * @param {string|MediaStream} nameOrStream - Stream name or tracked stream
+   * @param {string} kind - 'audio' or 'video'
+   */
+  stopTracks(nameOrStream, kind) {
+    const entry = this._findEntry(nameOrStream);
+
+    if (!entry) {
+      // Untracked stream, just stop its tracks
+      if (nameOrStream && typeof nameOrStream.getTracks === 'function') {
+        nameOrStream.getTracks().filter(track => track.kind === kind).forEach(track => track.stop());
+      }
+      return;
+    }
+
+    entry.stream.getTracks()
+      .filter(track => track.kind === kind)
+      .forEach(track => this._stopTrack(entry, track));
+
+    if (!entry.stream.getTracks().some(track => track.readyState === 'live')) {
+      this._remove(entry);
+    }
+  }
+
+  /**
+   * Stop every tracked stream
+   */
+  stopAll() {
+    Array.from(this.streams.keys()).forEach(name => this.stop(name));
+  }
+
+  /**
+   * Switch the camera or microphone of a live stream to another device
+   * The new track replaces the old one inside the same MediaStream; pass the
+   * 'trackreplaced' event's tracks to RTCRtpSender.replaceTrack for peer connections.
+   * Devices that only open once the old track is released lose that track if the switch still fails,
+   * which is reported through 'trackended' (and 'ended' when nothing else is live)
+   * @param {string} name - Stream name
+   * @param {string} kind - 'audio' or 'video'
+   * @param {string} deviceId - Target device ID
+   * @param {Object} constraints - Extra track constraints
+   * @returns {Promise<MediaStreamTrack>} The new track
+   */
+  async switchDevice(name, kind, deviceId, constraints = {}) {
+    const entry = this.streams.get(name);
+    if (!entry) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `Unknown stream: ${name}`, { capability: 'media' });
+    }
+
+    const oldTrack = entry.stream.getTracks().find(track => track.kind === kind) || null;
+    const request = { [kind]: { ...constraints, deviceId: { exact: deviceId } } };
+    let newStream;
+
+    try {
+      newStream = await navigator.mediaDevices.getUserMedia(request);
+    } catch (error) {
+      // Some devices (mobile cameras) can't open two inputs at once, release the old one first
+      if (!oldTrack || error.name !== 'NotReadableError') throw error;
+      this._stopTrack(entry, oldTrack);
+      try {
+        newStream = await navigator.mediaDevices.getUserMedia(request);
+      } catch (fallbackError) {
+        // The old track is gone as well, report it as if the device had ended it
+        entry.stream.removeTrack(oldTrack);
+        this._handleTrackEnded(entry, oldTrack);
+        throw fallbackError;
+      }
+    }
+
+    const newTrack = newStream.getTracks().find(track => track.kind === kind);
+
+    if (oldTrack) {
+      entry.stream.removeTrack(oldTrack);
+      this._stopTrack(entry, oldTrack);
+    }
+    entry.stream.addTrack(newTrack);
+    this._watchTrack(entry, newTrack);
+
+    this._emit('trackreplaced', { name, kind, oldTrack, newTrack, stream: entry.stream });
+    return newTrack;
+  }
+
+  /**
+   * Listen for the browser ending a track (device unplugged, "Stop sharing" button...)
+   * @private
+   */
+  _watchTrack(entry, track) {
+    const listener = () => this._handleTrackEnded(entry, track);
+    track.addEventListener('ended', listener);
+    entry.trackListeners.set(track, listener);
+  }
+
+  /**
+   * Report an ended track, and the whole stream once no live track is left
+   * @private
+   */
+  _handleTrackEnded(entry, track) {
+    entry.trackListeners.delete(track);
+    this._emit('trackended', { name: entry.name, kind: track.kind, track, stream: entry.stream });
+
+    if (!entry.stream.getTracks().some(t => t.readyState === 'live')) {
+      if (entry.onEnded) entry.onEnded(entry.stream);
+      this._emit('ended', { name: entry.name, kind: entry.kind, stream: entry.stream });
+      this._remove(entry);
+    }
+  }
+
+  /**
+   * Stop a track without reporting it as ended by the browser
+   * @private
+   */
+  _stopTrack(entry, track) {
+    const listener = entry.trackListeners.get(track);
+    if (listener) {
+      track.removeEventListener('ended', listener);
+      entry.trackListeners.delete(track);
+    }
+    track.stop();
+  }
+
+  /**
+   * Forget a stream entry
+   * @private
+   */
+  _remove(entry) {
+    if (this.streams.get(entry.name) !== entry) return;
+
+    entry.trackListeners.forEach((listener, track) => track.removeEventListener('ended', listener));
+    entry.trackListeners.clear();
+    this.streams.delete(entry.name);
+    this._emit('removed', { name: entry.name, stream: entry.stream });
+
+    if (this.streams.size === 0) this._unwatchDevices();
+  }
+
+  /**
+   * Find an entry by name or stream
+   * @private
+   */
+  _findEntry(nameOrStream) {
+    if (typeof nameOrStream === 'string') return this.streams.get(nameOrStream) || null;
+    return Array.from(this.streams.values()).find(entry => entry.stream === nameOrStream) || null;
+  }
+
+  /**
+   * Start listening to devicechange
+   * @private
+   */
+  _watchDevices() {
+    if (this._watchingDevices || typeof navigator === 'undefined' || !navigator.mediaDevices) return;
+    navigator.mediaDevices.addEventListener('devicechange', this._onDeviceChange);
+    this._watchingDevices = true;
+  }
+
+  /**
+   * Stop listening to devicechange
+   * @private
+   */
+  _unwatchDevices() {
+    if (!this._watchingDevices) return;
+    navigator.mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+    this._watchingDevices = false;
+  }
+
+  /**
+   * Report tracks whose device disappeared
+   * @private
+   */
+  async _handleDeviceChange() {
+    let devices;
+    try {
+      devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (error) {
+      return;
+    }
+    this._emit('devicechange', { devices });
+
+    const available = new Set(devices.map(device => device.deviceId));
+    this.streams.forEach(entry => {
+      entry.stream.getTracks().forEach(track => {
+        const deviceId = track.getSettings ? track.getSettings().deviceId : null;
+        if (deviceId && !available.has(deviceId)) {
+          this._emit('deviceunplugged', { name: entry.name, kind: track.kind, deviceId, track, stream: entry.stream });
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Handle around a MediaRecorder returned by Requester#startRecording
+ * Events: 'chunk', 'pause', 'resume', 'stop', 'error'
+ */
+class MediaRecording extends RequesterEmitter {
+  /**
+   * @param {MediaStream} stream - Stream to record
+   * @param {Object} options - MediaRecorder options plus timeslice and a cleanup function
+   */
+  constructor(stream, options = {}) {
+    super();
+    this.stream = stream;
+    this.chunks = [];
+    this.blob = null;
+    this._cleanup = options.cleanup || null;
+
+    const recorderOptions = {};
+    ['mimeType', 'videoBitsPerSecond', 'audioBitsPerSecond', 'bitsPerSecond'].forEach(key => {
+      if (options[key]) recorderOptions[key] = options[key];
+    });
+
+    this.recorder = new MediaRecorder(stream, recorderOptions);
+    this.mimeType = this.recorder.mimeType || options.mimeType || '';
+
+    this._stopped = new Promise((resolve, reject) => {
+      this.recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          this.chunks.push(event.data);
+          this._emit('chunk', event.data);
+        }
+      };
+      this.recorder.onpause = () => this._emit('pause');
+      this.recorder.onresume = () => this._emit('resume');
+      this.recorder.onerror = (event) => {
+        const error = RequesterError.from(event.error || event, 'recording', 'Recording failed');
+        this._emit('error', error);
+        this._finish();
+        reject(error);
+      };
+      this.recorder.onstop = () => {
+        this.blob = new Blob(this.chunks, { type: this.mimeType });
+        this._finish();
+        this._emit('stop', this.blob);
+        resolve(this.blob);
+      };
+    });
+    // Avoid unhandled rejections when nobody awaits stop()
+    this._stopped.catch(() => {});
+
+    this.recorder.start(options.timeslice);
+  }
+
+  /**
+   * Current recorder state
+   * @returns {string} 'recording' | 'paused' | 'inactive'
+   */
+  get state() {
+    return this.recorder.state;
+  }
+
+  /**
+   * Pause recording
+   */
+  pause() {
+    if (this.recorder.state === 'recording') this.recorder.pause();
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.recorder.state === 'paused') this.recorder.resume();
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob>} The recorded media
+   */
+  stop() {
+    if (this.recorder.state !== 'inactive') this.recorder.stop();
+    return this._stopped;
+  }
+
+  /**
+   * Save the recording as a file (stops the recording first if needed)
+   * @param {string} filename - File name, extension defaults from the mime type
+   * @returns {Promise<Blob>}
+   */
+  async download(filename = null) {
+    const blob = await this.stop();
+    const extension = (this.mimeType.split(';')[0].split('/')[1]) || 'webm';
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename || `recording-${Date.now()}.${extension}`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    return blob;
+  }
+
+  /**
+   * Release helper resources once
+   * @private
+   */
+  _finish() {
+    if (this._cleanup) {
+      this._cleanup();
+      this._cleanup = null;
+    }
+  }
+}
+
+/**
+ * Level metering, voice activity detection and silence detection for a microphone stream
+ * Events: 'level', 'speechstart', 'speechend', 'silence', 'signal', 'stop'
+ */
+class MicrophoneAnalyser extends RequesterEmitter {
+  /**
+   * @param {MediaStream} stream - Stream with an audio track
+   * @param {Object} options - interval (ms), fftSize, threshold (dB), hangover (ms),
+   *   silenceThreshold (dB) and silenceTimeout (ms)
+   */
+  constructor(stream, options = {}) {
+    super();
+    this.stream = stream;
+    this.options = {
+      interval: 50,
+      fftSize: 2048,
+      threshold: -45,
+      hangover: 300,
+      silenceThreshold: -90,
+      silenceTimeout: 3000,
+      ...options
     };
 
-    this.serviceWorkerRegistration = null;
-    this.notificationCallbacks = new Map();
-    this._setupServiceWorkerMessageListener();
+    this.level = { rms: 0, peak: 0, db: -Infinity };
+    this.speaking = false;
+    this.silent = false;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextClass();
+    this.source = this.context.createMediaStreamSource(stream);
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = this.options.fftSize;
+    this.source.connect(this.analyser);
+
+    // Contexts created outside a user gesture start suspended and would only ever read silence
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(error => console.warn('Requester.js: Could not resume audio context:', error));
+    }
+
+    this._buffer = new Float32Array(this.analyser.fftSize);
+    this._lastVoiceAt = 0;
+    this._lastSignalAt = Date.now();
+    this._timer = setInterval(() => this._sample(), this.options.interval);
+    this._onTrackEnded = () => this.stop();
+    stream.getAudioTracks().forEach(track => track.addEventListener('ended', this._onTrackEnded));
+  }
+
+  /**
+   * Compute the current level and update VAD / silence state
+   * @private
+   */
+  _sample() {
+    this.analyser.getFloatTimeDomainData(this._buffer);
+
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < this._buffer.length; i++) {
+      const value = this._buffer[i];
+      sum += value * value;
+      peak = Math.max(peak, Math.abs(value));
+    }
+    const rms = Math.sqrt(sum / this._buffer.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    const now = Date.now();
+
+    this.level = { rms, peak, db };
+    this._emit('level', this.level);
+
+    // Voice activity with hangover so short pauses don't end speech
+    if (db > this.options.threshold) {
+      this._lastVoiceAt = now;
+      if (!this.speaking) {
+        this.speaking = true;
+        this._emit('speechstart', this.level);
+      }
+    } else if (this.speaking && now - this._lastVoiceAt > this.options.hangover) {
+      this.speaking = false;
+      this._emit('speechend', this.level);
+    }
+
+    // "Your mic appears silent": muted track or digital silence for too long
+    const muted = this.stream.getAudioTracks().every(track => track.muted || !track.enabled);
+    if (!muted && db > this.options.silenceThreshold) {
+      this._lastSignalAt = now;
+      if (this.silent) {
+        this.silent = false;
+        this._emit('signal', this.level);
+      }
+    } else if (!this.silent && now - this._lastSignalAt > this.options.silenceTimeout) {
+      this.silent = true;
+      this._emit('silence', { muted, ...this.level });
+    }
+  }
+
+  /**
+   * Stop analysing and release the audio context (the stream itself keeps running)
+   */
+  stop() {
+    if (!this._timer) return;
+
+    clearInterval(this._timer);
+    this._timer = null;
+    this.stream.getAudioTracks().forEach(track => track.removeEventListener('ended', this._onTrackEnded));
+    this.source.disconnect();
+    this.context.close();
+
+    if (this.speaking) {
+      this.speaking = false;
+      this._emit('speechend', this.level);
+    }
+    this._emit('stop');
+  }
+}
+
+/**
+ * Continuous geolocation watch returned by Requester#watchGeolocation
+ * Events: 'position' ({ position, distance, speed, totalDistance }), 'enter', 'exit', 'error', 'stop'
+ */
+class GeolocationWatcher extends RequesterEmitter {
+  /**
+   * @param {Object} options - enableHighAccuracy, timeout (per update, none by default), maximumAge,
+   *   minDistance (m), minInterval (ms) and geofences ([{ id, latitude, longitude, radius }])
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { minDistance: 0, minInterval: 0, ...options };
+    this.position = null;
+    this.totalDistance = 0;
+    this.paused = false;
+    this.stopped = false;
+    this.geofences = new Map();
+
+    this._watchId = null;
+    this._queue = [];
+    this._waiting = [];
+    this._iterating = false;
+
+    (options.geofences || []).forEach(fence => this.addGeofence(fence));
+    this._start();
+  }
+
+  /**
+   * Great-circle distance in meters between two { latitude, longitude } points
+   * @param {Object} from - Start coordinates
+   * @param {Object} to - End coordinates
+   * @returns {number}
+   */
+  static distance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const earthRadius = 6371000;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Start the underlying watchPosition
+   * @private
+   */
+  _start() {
+    const posOptions = {
+      enableHighAccuracy: this.options.enableHighAccuracy || false,
+      maximumAge: this.options.maximumAge || 0
+    };
+    // Only limit each update when asked to; the browser default is to wait as long as needed
+    if (this.options.timeout) posOptions.timeout = this.options.timeout;
+
+    this._watchId = navigator.geolocation.watchPosition(
+      position => this._handlePosition(position),
+      error => this._emit('error', RequesterError.from(error, 'geolocation', 'Geolocation error')),
+      posOptions
+    );
+  }
+
+  /**
+   * Filter jitter, compute distance/speed and check geofences
+   * @private
+   */
+  _handlePosition(position) {
+    const previous = this.position;
+    let distance = 0;
+    let speed = null;
+
+    if (previous) {
+      distance = GeolocationWatcher.distance(previous.coords, position.coords);
+      const elapsed = position.timestamp - previous.timestamp;
+      if (distance < this.options.minDistance || elapsed < this.options.minInterval) return;
+      speed = elapsed > 0 ? distance / (elapsed / 1000) : null;
+    }
+
+    this.position = position;
+    this.totalDistance += distance;
+
+    const update = { position, distance, speed, totalDistance: this.totalDistance };
+    this._emit('position', update);
+    this._checkGeofences(position);
+
+    if (this._waiting.length > 0) {
+      this._waiting.shift()({ value: update, done: false });
+    } else if (this._iterating) {
+      this._queue.push(update);
+    }
+  }
+
+  /**
+   * Emit enter/exit for geofences whose state changed
+   * @private
+   */
+  _checkGeofences(position) {
+    this.geofences.forEach(state => {
+      const inside = GeolocationWatcher.distance(state.fence, position.coords) <= state.fence.radius;
+      if (inside === state.inside) return;
+
+      const wasKnown = state.inside !== null;
+      state.inside = inside;
+      if (inside) {
+        this._emit('enter', { fence: state.fence, position });
+      } else if (wasKnown) {
+        this._emit('exit', { fence: state.fence, position });
+      }
+    });
+  }
+
+  /**
+   * Add a circular geofence
+   * @param {Object} fence - { id, latitude, longitude, radius (m) }
+   */
+  addGeofence(fence) {
+    const id = fence.id !== undefined ? fence.id : `fence-${this.geofences.size}`;
+    this.geofences.set(id, { fence: { ...fence, id }, inside: null });
+    if (this.position) this._checkGeofences(this.position);
+  }
+
+  /**
+   * Remove a geofence
+   * @param {string} id - Geofence ID
+   */
+  removeGeofence(id) {
+    this.geofences.delete(id);
+  }
+
+  /**
+   * Pause updates (releases the GPS)
+   */
+  pause() {
+    if (this.paused || this.stopped) return;
+    navigator.geolocation.clearWatch(this._watchId);
+    this._watchId = null;
+    this.paused = true;
+  }
+
+  /**
+   * Resume a paused watch
+   */
+  resume() {
+    if (!this.paused || this.stopped) return;
+    this.paused = false;
+    this._start();
+  }
+
+  /**
+   * Stop watching for good
+   */
+  stop() {
+    if (this.stopped) return;
+    if (this._watchId !== null) navigator.geolocation.clearWatch(this._watchId);
+    this._watchId = null;
+    this.stopped = true;
+
+    this._waiting.forEach(resolve => resolve({ value: undefined, done: true }));
+    this._waiting = [];
+    this._emit('stop');
+  }
+
+  /**
+   * Iterate over updates: for await (const { position } of watcher) { ... }
+   * @returns {AsyncIterator}
+   */
+  [Symbol.asyncIterator]() {
+    this._iterating = true;
+    return {
+      next: () => {
+        if (this._queue.length > 0) {
+          return Promise.resolve({ value: this._queue.shift(), done: false });
+        }
+        if (this.stopped) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this._waiting.push(resolve));
+      },
+      return: () => {
+        this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+}
+
+/**
+ * GATT connection helper returned by Requester#connectBluetooth
+ * Events: 'connected', 'disconnected', 'reconnecting', 'reconnected', 'reconnectfailed', 'close'
+ */
+class BluetoothSession extends RequesterEmitter {
+  /**
+   * @param {BluetoothDevice} device - Device from requestBluetooth
+   * @param {Object} options - reconnect (default true), maxRetries, initialDelay, maxDelay (ms)
+   */
+  constructor(device, options = {}) {
+    super();
+    this.device = device;
+    this.server = null;
+    this.options = {
+      reconnect: true,
+      maxRetries: 5,
+      initialDelay: 500,
+      maxDelay: 10000,
+      ...options
+    };
+
+    this._services = new Map();
+    this._characteristics = new Map();
+    this._subscriptions = new Set();
+    this._manualDisconnect = false;
+    this._onDisconnected = () => this._handleDisconnect();
+    device.addEventListener('gattserverdisconnected', this._onDisconnected);
+  }
+
+  /**
+   * Turn a 16-bit number, a custom alias or a UUID/standard name into what Web Bluetooth expects
+   * @param {number|string} value - UUID, standard name ('battery_service') or alias
+   * @returns {string}
+   */
+  static resolveUUID(value) {
+    if (typeof value === 'number') {
+      return `0000${value.toString(16).padStart(4, '0')}-0000-1000-8000-00805f9b34fb`;
+    }
+    return BluetoothSession.aliases[value] || value;
+  }
+
+  /**
+   * Whether the GATT server is connected
+   * @returns {boolean}
+   */
+  get connected() {
+    return !!(this.device.gatt && this.device.gatt.connected);
+  }
+
+  /**
+   * Connect to the GATT server
+   * @returns {Promise<BluetoothSession>}
+   */
+  async connect() {
+    this._manualDisconnect = false;
+    this.server = await this.device.gatt.connect();
+    this._emit('connected', { device: this.device });
+    return this;
+  }
+
+  /**
+   * Disconnect and stop reconnecting
+   */
+  disconnect() {
+    this._manualDisconnect = true;
+    clearTimeout(this._reconnectTimer);
+    if (this.connected) this.device.gatt.disconnect();
+    this._emit('close');
+  }
+
+  /**
+   * Disconnect and stop listening to the device for good
+   */
+  dispose() {
+    this.disconnect();
+    this.device.removeEventListener('gattserverdisconnected', this._onDisconnected);
+  }
+
+  /**
+   * Get a primary service by name or UUID
+   * @param {number|string} service - Service name or UUID
+   * @returns {Promise<BluetoothRemoteGATTService>}
+   */
+  async getService(service) {
+    const uuid = BluetoothSession.resolveUUID(service);
+    if (!this._services.has(uuid)) {
+      if (!this.connected) await this.connect();
+      this._services.set(uuid, await this.server.getPrimaryService(uuid));
+    }
+    return this._services.get(uuid);
+  }
+
+  /**
+   * Get a characteristic by name or UUID
+   * @param {number|string} service - Service name or UUID
+   * @param {number|string} characteristic - Characteristic name or UUID
+   * @returns {Promise<BluetoothRemoteGATTCharacteristic>}
+   */
+  async getCharacteristic(service, characteristic) {
+    const key = `${BluetoothSession.resolveUUID(service)}/${BluetoothSession.resolveUUID(characteristic)}`;
+    if (!this._characteristics.has(key)) {
+      const gattService = await this.getService(service);
+      this._characteristics.set(
+        key,
+        await gattService.getCharacteristic(BluetoothSession.resolveUUID(characteristic))
+      );
+    }
+    return this._characteristics.get(key);
+  }
+
+  /**
+   * Read a characteristic value
+   * @param {Function} parser - Optional DataView parser (see BluetoothSession.parsers)
+   * @returns {Promise<DataView|*>}
+   */
+  async read(service, characteristic, parser = null) {
+    const target = await this.getCharacteristic(service, characteristic);
+    const value = await target.readValue();
+    return parser ? parser(value) : value;
+  }
+
+  /**
+   * Write a characteristic value and wait for the response
+   * @param {BufferSource} value - Bytes to write
+   */
+  async write(service, characteristic, value) {
+    const target = await this.getCharacteristic(service, characteristic);
+    if (target.writeValueWithResponse) {
+      return target.writeValueWithResponse(value);
+    }
+    return target.writeValue(value);
+  }
+
+  /**
+   * Write a characteristic value without waiting for a response
+   * @param {BufferSource} value - Bytes to write
+   */
+  async writeWithoutResponse(service, characteristic, value) {
+    const target = await this.getCharacteristic(service, characteristic);
+    return target.writeValueWithoutResponse(value);
+  }
+
+  /**
+   * Subscribe to characteristic notifications (restored automatically after a reconnect)
+   * @param {Function} callback - Called with the parsed value (or DataView) and the event
+   * @param {Function} parser - Optional DataView parser
+   * @returns {Promise<Function>} Async unsubscribe function
+   */
+  async subscribe(service, characteristic, callback, parser = null) {
+    const subscription = { service, characteristic, callback, parser, target: null, listener: null };
+    await this._startSubscription(subscription);
+    this._subscriptions.add(subscription);
+
+    return async () => {
+      this._subscriptions.delete(subscription);
+      subscription.target.removeEventListener('characteristicvaluechanged', subscription.listener);
+      if (this.connected) {
+        await subscription.target.stopNotifications();
+      }
+    };
+  }
+
+  /**
+   * Start notifications for a subscription
+   * @private
+   */
+  async _startSubscription(subscription) {
+    // Reconnects often hand back the same characteristic object, drop the previous listener first
+    if (subscription.target && subscription.listener) {
+      subscription.target.removeEventListener('characteristicvaluechanged', subscription.listener);
+    }
+
+    const target = await this.getCharacteristic(subscription.service, subscription.characteristic);
+    subscription.target = target;
+    subscription.listener = (event) => {
+      const value = event.target.value;
+      subscription.callback(subscription.parser ? subscription.parser(value) : value, event);
+    };
+    target.addEventListener('characteristicvaluechanged', subscription.listener);
+    await target.startNotifications();
+  }
+
+  /**
+   * Read the standard battery level (0-100)
+   * @returns {Promise<number>}
+   */
+  readBatteryLevel() {
+    return this.read('battery_service', 'battery_level', BluetoothSession.parsers.batteryLevel);
+  }
+
+  /**
+   * Subscribe to standard heart rate measurements
+   * @param {Function} callback - Called with { heartRate, contactDetected, energyExpended, rrIntervals }
+   * @returns {Promise<Function>} Async unsubscribe function
+   */
+  subscribeHeartRate(callback) {
+    return this.subscribe('heart_rate', 'heart_rate_measurement', callback, BluetoothSession.parsers.heartRateMeasurement);
+  }
+
+  /**
+   * Read the standard device information strings the device exposes
+   * (add 'device_information' to optionalServices when requesting the device)
+   * @returns {Promise<Object>} e.g. { manufacturerName, modelNumber, firmwareRevision }
+   */
+  async readDeviceInformation() {
+    const fields = {
+      manufacturerName: 'manufacturer_name_string',
+      modelNumber: 'model_number_string',
+      serialNumber: 'serial_number_string',
+      hardwareRevision: 'hardware_revision_string',
+      firmwareRevision: 'firmware_revision_string',
+      softwareRevision: 'software_revision_string'
+    };
+    const info = {};
+
+    for (const [key, characteristic] of Object.entries(fields)) {
+      try {
+        info[key] = await this.read('device_information', characteristic, BluetoothSession.parsers.string);
+      } catch (error) {
+        // Characteristic not exposed by this device
+      }
+    }
+    return info;
+  }
+
+  /**
+   * Reconnect with exponential backoff unless the disconnect was requested
+   * @private
+   */
+  _handleDisconnect() {
+    this._services.clear();
+    this._characteristics.clear();
+    this._emit('disconnected', { device: this.device });
+
+    if (this._manualDisconnect || !this.options.reconnect) return;
+    this._scheduleReconnect(1);
+  }
+
+  /**
+   * @private
+   */
+  _scheduleReconnect(attempt) {
+    if (attempt > this.options.maxRetries) {
+      this._emit('reconnectfailed', { device: this.device, attempts: attempt - 1 });
+      return;
+    }
+
+    const delay = Math.min(this.options.initialDelay * 2 ** (attempt - 1), this.options.maxDelay);
+    this._emit('reconnecting', { device: this.device, attempt, delay });
+
+    this._reconnectTimer = setTimeout(async () => {
+      if (this._manualDisconnect) return;
+      try {
+        await this.connect();
+        for (const subscription of this._subscriptions) {
+          await this._startSubscription(subscription);
+        }
+        this._emit('reconnected', { device: this.device, attempt });
+      } catch (error) {
+        this._scheduleReconnect(attempt + 1);
+      }
+    }, delay);
+  }
+}
+
+/**
+ * Custom service/characteristic names, e.g. BluetoothSession.aliases.myService = '<uuid>'
+ */
+BluetoothSession.aliases = {};
+
+/**
+ * DataView parsers for common standard characteristics
+ */
+BluetoothSession.parsers = {
+  batteryLevel(value) {
+    return value.getUint8(0);
+  },
+
+  heartRateMeasurement(value) {
+    const flags = value.getUint8(0);
+    let offset = 1;
+    const result = {};
+
+    if (flags & 0x01) {
+      result.heartRate = value.getUint16(offset, true);
+      offset += 2;
+    } else {
+      result.heartRate = value.getUint8(offset);
+      offset += 1;
+    }
+
+    // Bit 2: contact status supported, bit 1: contact detected
+    result.contactDetected = flags & 0x04 ? !!(flags & 0x02) : null;
+
+    if (flags & 0x08) {
+      result.energyExpended = value.getUint16(offset, true);
+      offset += 2;
+    }
+
+    result.rrIntervals = [];
+    if (flags & 0x10) {
+      for (; offset + 1 < value.byteLength; offset += 2) {
+        // 1/1024 second resolution
+        result.rrIntervals.push(value.getUint16(offset, true) / 1024);
+      }
+    }
+    return result;
+  },
+
+  string(value) {
+    return new TextDecoder('utf-8').decode(value).replace(/\0+$/, '');
+  }
+};
+
+/**
+ * Web MIDI helper returned by Requester#connectMIDI
+ * Events: 'message' and per type ('noteon', 'noteoff', 'cc', 'pitchbend', 'programchange', 'sysex', ...),
+ * 'connect', 'disconnect', 'close'
+ */
+class MIDIController extends RequesterEmitter {
+  /**
+   * @param {MIDIAccess} access - Access from requestMIDI
+   * @param {Object} options - input and output (name or ID) to select
+   */
+  constructor(access, options = {}) {
+    super();
+    this.access = access;
+    this.input = null;
+    this.output = null;
+
+    this._inputListeners = new Map();
+    this._knownPorts = new Set([...this.inputs, ...this.outputs].map(port => port.id));
+
+    // Select first: an unknown input throws before anything is attached
+    this.selectInput(options.input || null);
+    if (options.output) {
+      this.selectOutput(options.output);
+    } else {
+      this.output = this.outputs[0] || null;
+    }
+
+    this._onStateChange = this._handleStateChange.bind(this);
+    access.addEventListener('statechange', this._onStateChange);
+  }
+
+  /**
+   * Parse raw MIDI bytes into an event object
+   * @param {Uint8Array|number[]} data - Message bytes
+   * @returns {Object} { type, channel (1-16), ... } with type-specific fields
+   */
+  static parseMessage(data) {
+    const bytes = Array.from(data);
+    const status = bytes[0];
+    const command = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+
+    switch (command) {
+      case 0x80:
+        return { type: 'noteoff', channel, note: bytes[1], velocity: bytes[2] };
+      case 0x90:
+        // Note on with velocity 0 is a note off
+        return bytes[2] === 0
+          ? { type: 'noteoff', channel, note: bytes[1], velocity: 0 }
+          : { type: 'noteon', channel, note: bytes[1], velocity: bytes[2] };
+      case 0xa0:
+        return { type: 'keypressure', channel, note: bytes[1], pressure: bytes[2] };
+      case 0xb0:
+        return { type: 'cc', channel, controller: bytes[1], value: bytes[2] };
+      case 0xc0:
+        return { type: 'programchange', channel, program: bytes[1] };
+      case 0xd0:
+        return { type: 'channelpressure', channel, pressure: bytes[1] };
+      case 0xe0:
+        return { type: 'pitchbend', channel, value: ((bytes[2] << 7) | bytes[1]) - 8192 };
+    }
+
+    const systemTypes = {
+      0xf0: 'sysex',
+      0xf1: 'timecode',
+      0xf2: 'songposition',
+      0xf3: 'songselect',
+      0xf6: 'tunerequest',
+      0xf8: 'clock',
+      0xfa: 'start',
+      0xfb: 'continue',
+      0xfc: 'stop',
+      0xfe: 'activesensing',
+      0xff: 'reset'
+    };
+    const type = systemTypes[status] || 'unknown';
+
+    if (type === 'sysex') {
+      const end = bytes.indexOf(0xf7);
+      return { type, channel: null, data: bytes.slice(1, end === -1 ? undefined : end) };
+    }
+    if (type === 'songposition') {
+      return { type, channel: null, value: (bytes[2] << 7) | bytes[1] };
+    }
+    return { type, channel: null, data: bytes.slice(1) };
+  }
+
+  /**
+   * Connected inputs
+   * @returns {MIDIInput[]}
+   */
+  get inputs() {
+    return Array.from(this.access.inputs.values());
+  }
+
+  /**
+   * Connected outputs
+   * @returns {MIDIOutput[]}
+   */
+  get outputs() {
+    return Array.from(this.access.outputs.values());
+  }
+
+  /**
+   * Find a port by ID or (partial, case-insensitive) name
+   * @private
+   */
+  _findPort(ports, nameOrId) {
+    const query = String(nameOrId).toLowerCase();
+    return ports.find(port => port.id === nameOrId) ||
+      ports.find(port => (port.name || '').toLowerCase() === query) ||
+      ports.find(port => (port.name || '').toLowerCase().includes(query)) ||
+      null;
+  }
+
+  /**
+   * Listen to one input, or every input when nameOrId is null
+   * @param {string|null} nameOrId - Input name or ID
+   * @returns {MIDIInput|null} The selected input
+   * @throws {RequesterError} INVALID_ARGUMENT when no connected input matches (the current selection is kept)
+   */
+  selectInput(nameOrId = null) {
+    const input = nameOrId === null ? null : this._findPort(this.inputs, nameOrId);
+    if (nameOrId !== null && !input) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `No MIDI input matches "${nameOrId}"`, { capability: 'midi' });
+    }
+
+    this._inputListeners.forEach((listener, port) => port.removeEventListener('midimessage', listener));
+    this._inputListeners.clear();
+
+    this.input = input;
+    const targets = input === null ? this.inputs : [input];
+    targets.forEach(port => this._listenTo(port));
+    return this.input;
+  }
+
+  /**
+   * Choose the output used by the send helpers
+   * @param {string} nameOrId - Output name or ID
+   * @returns {MIDIOutput|null}
+   */
+  selectOutput(nameOrId) {
+    this.output = this._findPort(this.outputs, nameOrId);
+    return this.output;
+  }
+
+  /**
+   * @private
+   */
+  _listenTo(input) {
+    if (this._inputListeners.has(input)) return;
+
+    const listener = (event) => {
+      const message = { ...MIDIController.parseMessage(event.data), input, timestamp: event.timeStamp };
+      this._emit('message', message);
+      this._emit(message.type, message);
+    };
+    input.addEventListener('midimessage', listener);
+    this._inputListeners.set(input, listener);
+  }
+
+  /**
+   * Report hot-plugged ports and start listening to new inputs
+   * @private
+   */
+  _handleStateChange(event) {
+    const port = event.port;
+
+    if (port.state === 'connected') {
+      // statechange also fires when a port is opened, only report each connection once
+      if (this._knownPorts.has(port.id)) return;
+      this._knownPorts.add(port.id);
+
+      if (port.type === 'input' && this.input === null) this._listenTo(port);
+      this._emit('connect', { port });
+      return;
+    }
+
+    this._knownPorts.delete(port.id);
+    if (port.type === 'input') {
+      const listener = this._inputListeners.get(port);
+      if (listener) port.removeEventListener('midimessage', listener);
+      this._inputListeners.delete(port);
+    }
+    if (port === this.output) this.output = null;
+    this._emit('disconnect', { port });
+  }
+
+  /**
+   * Send raw bytes to the selected output
+   * @param {number[]|Uint8Array} data - Message bytes
+   * @param {number} timestamp - Optional DOMHighResTimeStamp to schedule the message
+   */
+  send(data, timestamp) {
+    if (!this.output) {
+      throw new RequesterError(RequesterError.codes.HARDWARE_UNAVAILABLE, 'No MIDI output selected', { capability: 'midi' });
+    }
+    this.output.send(data, timestamp);
+  }
+
+  /**
+   * Send note on (channel 1-16)
+   */
+  noteOn(channel, note, velocity = 127, timestamp) {
+    this.send([0x90 | (channel - 1), note & 0x7f, velocity & 0x7f], timestamp);
+  }
+
+  /**
+   * Send note off (channel 1-16)
+   */
+  noteOff(channel, note, velocity = 0, timestamp) {
+    this.send([0x80 | (channel - 1), note & 0x7f, velocity & 0x7f], timestamp);
+  }
+
+  /**
+   * Send a control change (channel 1-16)
+   */
+  controlChange(channel, controller, value, timestamp) {
+    this.send([0xb0 | (channel - 1), controller & 0x7f, value & 0x7f], timestamp);
+  }
+
+  /**
+   * Send a program change (channel 1-16)
+   */
+  programChange(channel, program, timestamp) {
+    this.send([0xc0 | (channel - 1), program & 0x7f], timestamp);
+  }
+
+  /**
+   * Send pitch bend (-8192 to 8191, channel 1-16)
+   */
+  pitchBend(channel, value, timestamp) {
+    const bend = Math.max(0, Math.min(16383, value + 8192));
+    this.send([0xe0 | (channel - 1), bend & 0x7f, bend >> 7], timestamp);
+  }
+
+  /**
+   * Send a system exclusive message (requires requestMIDI({ sysex: true }))
+   * @param {number[]} data - Bytes between 0xF0 and 0xF7
+   */
+  sysex(data, timestamp) {
+    this.send([0xf0, ...data, 0xf7], timestamp);
+  }
+
+  /**
+   * Stop listening to inputs and port changes
+   */
+  close() {
+    this._inputListeners.forEach((listener, input) => input.removeEventListener('midimessage', listener));
+    this._inputListeners.clear();
+    this.access.removeEventListener('statechange', this._onStateChange);
+    this._emit('close');
+  }
+}
+
+/**
+ * Normalized sensor reading stream returned by Requester#requestSensor
+ * Events: 'reading' ({ x, y, z } | { quaternion } | { illuminance }, plus timestamp), 'error', 'stop'
+ */
+class SensorStream extends RequesterEmitter {
+  /**
+   * @param {string} type - Requester sensor type ('accelerometer', 'gyroscope', ...)
+   */
+  constructor(type) {
+    super();
+    this.type = type;
+    this.source = null;
+    this.reading = null;
+    this.stopped = false;
+    this._stop = null;
+  }
+
+  /**
+   * Publish a reading
+   * @private
+   */
+  _push(values, timestamp = Date.now()) {
+    if (this.stopped) return;
+    this.reading = { ...values, timestamp };
+    this._emit('reading', this.reading);
+  }
+
+  /**
+   * Stop the sensor and release its listeners
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    if (this._stop) this._stop();
+    this._emit('stop');
+  }
+}
+
+/**
+ * Tracks notifications sent through Requester, whether they are basic Notification objects or Service Worker ones
+ * Events: 'shown', 'updated', 'closed', 'collapsed'
+ */
+class NotificationManager extends RequesterEmitter {
+  /**
+   * @param {Requester} requester - Owner used to (re)send notifications
+   */
+  constructor(requester) {
+    super();
+    this.requester = requester;
+    this._entries = new Map();
+    this._groups = new Map();
+    this._counter = 0;
+  }
+
+  /**
+   * Generate a unique tag for notifications sent without one
+   * @private
+   */
+  _createTag() {
+    return `notification-${Date.now()}-${++this._counter}`;
+  }
+
+  /**
+   * Remember what was sent so it can be listed, updated or collapsed later
+   * @private
+   */
+  _track(result, title, text, attachment, options) {
+    const notification = typeof Notification !== 'undefined' && result instanceof Notification ? result : null;
+    const entry = {
+      tag: options.tag,
+      group: options.group || null,
+      title,
+      text,
+      attachment,
+      options,
+      notification,
+      source: notification ? 'basic' : 'service-worker',
+      summary: !!options._summaryOf,
+      createdAt: Date.now()
+    };
+    this._entries.set(entry.tag, entry);
+
+    if (notification) {
+      // A replacement with the same tag closes the old object, only forget the current one
+      notification.addEventListener('close', () => this._untrack(entry.tag, notification));
+    }
+
+    this._emit('shown', this._describe(entry));
+    return entry;
+  }
+
+  /**
+   * Forget a notification once it is gone
+   * @private
+   */
+  _untrack(tag, notification = null) {
+    const entry = this._entries.get(tag);
+    if (!entry || (notification && entry.notification !== notification)) return;
+
+    this._entries.delete(tag);
+    if (entry.summary) {
+      const config = this._groups.get(entry.group);
+      if (config) {
+        config.collapsed = false;
+        config.count = 0;
+      }
+    }
+    this._emit('closed', this._describe(entry));
+  }
+
+  /**
+   * Public view of a tracked entry
+   * @private
+   */
+  _describe(entry) {
+    return {
+      tag: entry.tag,
+      group: entry.group,
+      title: entry.title,
+      body: entry.text,
+      source: entry.source,
+      summary: entry.summary,
+      notification: entry.notification,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * List notifications that are still on screen
+   * Service Worker notifications come from registration.getNotifications(), so they survive page reloads
+   * @param {Object} filter - tag and/or group
+   * @returns {Promise<Object[]>} { tag, group, title, body, source, summary, notification, createdAt }
+   */
+  async list(filter = {}) {
+    const registration = this.requester.serviceWorkerRegistration;
+    const results = [];
+    const seen = new Set();
+
+    if (registration && typeof registration.getNotifications === 'function') {
+      const active = await registration.getNotifications(filter.tag ? { tag: filter.tag } : undefined);
+      active.forEach(notification => {
+        const entry = this._entries.get(notification.tag);
+        seen.add(notification.tag);
+        results.push({
+          tag: notification.tag,
+          group: entry ? entry.group : null,
+          title: notification.title,
+          body: notification.body,
+          source: 'service-worker',
+          summary: entry ? entry.summary : false,
+          notification,
+          createdAt: entry ? entry.createdAt : notification.timestamp
+        });
+      });
+
+      // Anything tracked through the worker but no longer listed was dismissed
+      Array.from(this._entries.values())
+        .filter(entry => entry.source === 'service-worker' && !seen.has(entry.tag))
+        .filter(entry => !filter.tag || entry.tag === filter.tag)
+        .forEach(entry => this._untrack(entry.tag));
+    }
+
+    this._entries.forEach(entry => {
+      if (entry.source === 'basic' && !seen.has(entry.tag)) {
+        results.push(this._describe(entry));
+      }
+    });
+
+    return results.filter(item =>
+      (!filter.tag || item.tag === filter.tag) && (!filter.group || item.group === filter.group)
+    );
+  }
+
+  /**
+   * Close notifications by tag or group
+   * @param {string|Object} target - A tag, or { tag } / { group }
+   * @returns {Promise<number>} Number of notifications closed
+   */
+  async close(target) {
+    const filter = typeof target === 'string' ? { tag: target } : (target || {});
+    if (!filter.tag && !filter.group) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, 'close() needs a tag or a group', { capability: 'notifications' });
+    }
+
+    const matches = await this.list(filter);
+    matches.forEach(item => {
+      if (item.notification) item.notification.close();
+      // Programmatic close doesn't fire notificationclose in the worker
+      this._untrack(item.tag);
+    });
+    return matches.length;
+  }
+
+  /**
+   * Replace a notification in place (same tag), alerting the user again unless renotify is false
+   * @param {string} tag - Tag of a notification sent through Requester
+   * @param {Object} changes - title, text, attachment and any sendNotification option
+   * @returns {Promise<Notification|Object|null>} Same shape as sendNotification
+   */
+  async update(tag, changes = {}) {
+    const entry = this._entries.get(tag);
+    if (!entry) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `No tracked notification with tag "${tag}"`, { capability: 'notifications' });
+    }
+
+    const { title = entry.title, text = entry.text, attachment = entry.attachment, ...options } = changes;
+    const result = await this.requester._dispatchNotification(title, text, attachment, {
+      ...entry.options,
+      ...options,
+      tag,
+      renotify: options.renotify !== false
+    });
+
+    if (result) this._emit('updated', this._describe(this._entries.get(tag)));
+    return result;
+  }
+
+  /**
+   * Collapse a group into one summary notification once it reaches a threshold
+   * @param {string} group - Group name passed as options.group to sendNotification
+   * @param {Object} config - threshold (default 3), title (string or count => string), text, attachment, options
+   */
+  configureGroup(group, config = {}) {
+    this._groups.set(group, {
+      threshold: 3,
+      title: count => `${count} new notifications`,
+      collapsed: false,
+      count: 0,
+      ...this._groups.get(group),
+      ...config
+    });
+  }
+
+  /**
+   * Show or refresh the group summary instead of a new notification when the group is over its threshold
+   * @returns {Promise<Notification|Object|null|undefined>} undefined when the notification should be sent normally
+   * @private
+   */
+  async _collapseIfNeeded(title, text, attachment, options) {
+    const config = this._groups.get(options.group);
+    if (!config) return undefined;
+
+    if (!config.collapsed) {
+      const individual = (await this.list({ group: options.group })).filter(item => !item.summary);
+      if (individual.length + 1 < config.threshold) return undefined;
+
+      // Swap the individual notifications for the summary
+      individual.forEach(item => {
+        if (item.notification) item.notification.close();
+        this._untrack(item.tag);
+      });
+      config.collapsed = true;
+      config.count = individual.length;
+    }
+
+    const count = config.count + 1;
+    const summaryTitle = typeof config.title === 'function' ? config.title(count) : config.title;
+    const summaryText = typeof config.text === 'function' ? config.text(count, { title, text }) : (config.text ?? text);
+
+    const result = await this.requester._dispatchNotification(summaryTitle, summaryText, config.attachment ?? attachment, {
+      ...config.options,
+      tag: `${options.group}-summary`,
+      group: options.group,
+      renotify: true,
+      _summaryOf: options.group
+    });
+
+    // Replacing the summary can report the previous one as closed, which resets the group
+    config.collapsed = true;
+    config.count = count;
+    this._emit('collapsed', { group: options.group, count });
+    return result;
+  }
+}
+
+/**
+ * Coordinates Requester instances across tabs of the same origin
+ * Web Locks provide leader election, notification de-duplication and exclusive device claims;
+ * BroadcastChannel tells the other tabs what happened (and stands in for Web Locks where missing).
+ * The channel, leader election and page lifecycle listeners only start once something needs them
+ * Events: 'leader', 'busy' ({ resource, owner }), 'available' ({ resource })
+ */
+class TabCoordinator extends RequesterEmitter {
+  /**
+   * @param {Object} options - prefix for lock, channel and storage names (default 'requester')
+   */
+  constructor(options = {}) {
+    super();
+    this.id = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.prefix = options.prefix || 'requester';
+    this.createdAt = Date.now();
+
+    this._isLeader = false;
+    this._connected = false;
+    this._channel = null;
+    this._claims = new Map();
+    this._remoteClaims = new Map();
+    this._peers = new Map();
+    this._resignLeader = null;
+    this._locks = typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null;
+  }
+
+  /**
+   * Whether this tab is the leader (joins the election on first read)
+   */
+  get isLeader() {
+    this._connect();
+    return this._isLeader;
+  }
+
+  /**
+   * Subscribe to an event, joining the group so remote events arrive
+   * @param {string} event - Event name
+   * @param {Function} callback - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    this._connect();
+    return super.on(event, callback);
+  }
+
+  /**
+   * Open the channel, hook the page lifecycle and join the leader election
+   * @private
+   */
+  _connect() {
+    if (this._connected) return;
+    this._connected = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(`${this.prefix}-tabs`);
+      this._channel.onmessage = (event) => this._handleMessage(event.data);
+    }
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('pagehide', () => this.close());
+      // Coming back from the back/forward cache
+      window.addEventListener('pageshow', (event) => {
+        if (event.persisted) this._electLeader();
+      });
+    }
+
+    this._electLeader();
+  }
+
+  /**
+   * Introduce this tab and queue for the leader lock (held until the tab closes)
+   * @private
+   */
+  _electLeader() {
+    this._post({ type: 'hello', createdAt: this.createdAt });
+
+    if (this._locks) {
+      this._locks.request(`${this.prefix}-leader`, () => {
+        this._setLeader(true);
+        return new Promise(resolve => {
+          this._resignLeader = resolve;
+        });
+      }).catch(() => {});
+      return;
+    }
+
+    // Without Web Locks the oldest tab that introduced itself leads
+    this._updateFallbackLeader();
+  }
+
+  /**
+   * @private
+   */
+  _setLeader(isLeader) {
+    if (this._isLeader === isLeader) return;
+    this._isLeader = isLeader;
+    if (isLeader) this._emit('leader', { id: this.id });
+  }
+
+  /**
+   * @private
+   */
+  _updateFallbackLeader() {
+    if (this._locks) return;
+    const older = Array.from(this._peers.entries()).some(([id, createdAt]) =>
+      createdAt < this.createdAt || (createdAt === this.createdAt && id < this.id)
+    );
+    this._setLeader(!older);
+  }
+
+  /**
+   * @private
+   */
+  _post(message) {
+    if (this._channel) this._channel.postMessage({ ...message, from: this.id });
+  }
+
+  /**
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message || message.from === this.id) return;
+
+    switch (message.type) {
+      case 'hello':
+        this._peers.set(message.from, message.createdAt);
+        this._post({ type: 'here', createdAt: this.createdAt });
+        // Let the newcomer know what is already taken
+        this._claims.forEach((claim, resource) => this._post({ type: 'claimed', resource }));
+        break;
+      case 'here':
+        this._peers.set(message.from, message.createdAt);
+        break;
+      case 'bye':
+        this._peers.delete(message.from);
+        this._remoteClaims.forEach((owner, resource) => {
+          if (owner === message.from) this._handleMessage({ type: 'released', resource, from: owner });
+        });
+        break;
+      case 'claimed':
+        this._remoteClaims.set(message.resource, message.from);
+        this._emit('busy', { resource: message.resource, owner: message.from });
+        break;
+      case 'released':
+        if (this._remoteClaims.get(message.resource) === message.from) {
+          this._remoteClaims.delete(message.resource);
+          this._emit('available', { resource: message.resource });
+        }
+        break;
+    }
+    this._updateFallbackLeader();
+  }
+
+  /**
+   * Decide whether this tab should show a notification, so a tag only shows once across tabs
+   * @param {string} tag - Notification tag
+   * @param {number} windowMs - How long another tab's notification with the same tag counts as a duplicate
+   * @returns {Promise<boolean>} false when another tab just showed it
+   */
+  claimNotification(tag, windowMs = 5000) {
+    return this.claimOnce('notified', tag, windowMs);
+  }
+
+  /**
+   * Let only one tab act on an event every tab sees (the first to ask wins for windowMs)
+   * @param {string} scope - Event family ('notified', 'push-subscription', ...)
+   * @param {string} tag - Event identifier within the scope
+   * @param {number} windowMs - How long another tab's claim on the same tag holds
+   * @returns {Promise<boolean>} false when another tab already claimed it
+   */
+  async claimOnce(scope, tag, windowMs = 5000) {
+    const key = `${this.prefix}-${scope}`;
+    const check = () => {
+      const now = Date.now();
+      const sent = JSON.parse(localStorage.getItem(key) || '{}');
+      Object.keys(sent).forEach(existing => {
+        if (now - sent[existing].at >= windowMs) delete sent[existing];
+      });
+
+      const previous = sent[tag];
+      if (previous && previous.tab !== this.id) return false;
+
+      sent[tag] = { at: now, tab: this.id };
+      localStorage.setItem(key, JSON.stringify(sent));
+      return true;
+    };
+
+    try {
+      // The lock makes read-check-write atomic across tabs
+      return this._locks ? await this._locks.request(key, check) : check();
+    } catch (error) {
+      // Storage blocked: better a duplicate than a lost event
+      return true;
+    }
+  }
+
+  /**
+   * Claim exclusive use of a resource ('camera', 'midi', 'bluetooth:<id>', ...)
+   * Other tabs get a 'busy' event until the claim is released or this tab closes
+   * @param {string} resource - Resource name
+   * @returns {Promise<Object|null>} { resource, release() }, or null when another tab holds it
+   */
+  async claim(resource) {
+    this._connect();
+    if (this._claims.has(resource)) return this._claims.get(resource);
+
+    let claim = null;
+    if (this._locks) {
+      claim = await new Promise((resolve, reject) => {
+        this._locks.request(`${this.prefix}-claim:${resource}`, { ifAvailable: true }, (lock) => {
+          if (!lock) {
+            resolve(null);
+            return null;
+          }
+          // Hold the lock until release() resolves this promise
+          return new Promise(unlock => resolve(this._createClaim(resource, unlock)));
+        }).catch(reject);
+      });
+    } else if (!this._remoteClaims.has(resource)) {
+      claim = this._createClaim(resource, () => {});
+    }
+
+    if (!claim) {
+      this._emit('busy', { resource, owner: this._remoteClaims.get(resource) || null });
+      return null;
+    }
+
+    this._post({ type: 'claimed', resource });
+    return claim;
+  }
+
+  /**
+   * @private
+   */
+  _createClaim(resource, unlock) {
+    const claim = {
+      resource,
+      release: () => {
+        if (this._claims.get(resource) !== claim) return;
+        this._claims.delete(resource);
+        unlock();
+        this._post({ type: 'released', resource });
+      }
+    };
+    this._claims.set(resource, claim);
+    return claim;
+  }
+
+  /**
+   * Whether a resource is currently claimed by any tab
+   * @param {string} resource - Resource name
+   * @returns {Promise<boolean>}
+   */
+  async isClaimed(resource) {
+    this._connect();
+    if (this._claims.has(resource) || this._remoteClaims.has(resource)) return true;
+    if (!this._locks || !this._locks.query) return false;
+
+    const { held = [] } = await this._locks.query();
+    return held.some(lock => lock.name === `${this.prefix}-claim:${resource}`);
+  }
+
+  /**
+   * Release everything this tab holds and leave the group
+   */
+  close() {
+    this._claims.forEach(claim => claim.release());
+    if (this._resignLeader) this._resignLeader();
+    this._resignLeader = null;
+    this._isLeader = false;
+    this._post({ type: 'bye' });
+  }
+}
+
+/**
+ * Pure URL/document builders behind the mailto, tel, sms, share and calendar composers
+ * No DOM access, so they can be unit-tested in Node via require('requester.js').links
+ */
+const RequesterLinks = {
+  /**
+   * Turn a comma separated string or an array into a clean list of recipients
+   * @returns {string[]}
+   */
+  normalizeRecipients(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+    return list.map(item => String(item).trim()).filter(Boolean);
+  },
+
+  /**
+   * Loose email address check (local@domain.tld)
+   * @returns {boolean}
+   */
+  isValidEmail(address) {
+    return /^[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[^\s@<>()",;:.]+$/.test(address);
+  },
+
+  /**
+   * Strip formatting from a phone number, keeping digits, a leading +, and * # , ; dial codes
+   * @returns {string}
+   */
+  normalizePhone(number) {
+    const cleaned = String(number ?? '').trim().replace(/[\s().\-/]/g, '');
+    if (!/^\+?[0-9*#,;]+$/.test(cleaned) || !/[0-9]/.test(cleaned)) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `Invalid phone number: ${number}`);
+    }
+    return cleaned;
+  },
+
+  /**
+   * Detect the mobile platform family from the user agent
+   * @param {string} userAgent - Defaults to navigator.userAgent
+   * @returns {string} 'ios' | 'android' | 'other'
+   */
+  detectPlatform(userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '') {
+    if (/iPhone|iPad|iPod/.test(userAgent)) return 'ios';
+    if (/Android/.test(userAgent)) return 'android';
+    return 'other';
+  },
+
+  /**
+   * Build a query string from a parameter map, skipping empty values
+   * @private
+   */
+  _query(params, separator = '?') {
+    const pairs = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+    return pairs.length ? separator + pairs.join('&') : '';
+  },
+
+  /**
+   * Build a mailto: URL
+   * @param {Object} params - to, cc, bcc (string or array), subject, body
+   * @returns {string}
+   */
+  mailto(params = {}) {
+    const fields = {};
+    for (const field of ['to', 'cc', 'bcc']) {
+      const recipients = RequesterLinks.normalizeRecipients(params[field]);
+      const invalid = recipients.filter(address => !RequesterLinks.isValidEmail(address));
+      if (invalid.length) {
+        throw new RequesterError(
+          RequesterError.codes.INVALID_ARGUMENT,
+          `Invalid email address${invalid.length > 1 ? 'es' : ''}: ${invalid.join(', ')}`
+        );
+      }
+      // Keep @ readable, every mail client understands it unescaped
+      fields[field] = recipients.map(address => encodeURIComponent(address).replace(/%40/g, '@')).join(',');
+    }
+
+    const query = [];
+    if (fields.cc) query.push(`cc=${fields.cc}`);
+    if (fields.bcc) query.push(`bcc=${fields.bcc}`);
+    if (params.subject) query.push(`subject=${encodeURIComponent(params.subject)}`);
+    if (params.body) query.push(`body=${encodeURIComponent(params.body)}`);
+
+    return `mailto:${fields.to}${query.length ? '?' + query.join('&') : ''}`;
+  },
+
+  /**
+   * Build a tel: URL
+   * @returns {string}
+   */
+  tel(number) {
+    return `tel:${RequesterLinks.normalizePhone(number).replace(/#/g, '%23')}`;
+  },
+
+  /**
+   * Build an sms: URL
+   * iOS expects sms:number&body=..., everyone else sms:number?body=...
+   * @param {Object} params - to (string or array), body, platform ('ios' | 'android' | 'other')
+   * @returns {string}
+   */
+  sms(params = {}) {
+    const recipients = RequesterLinks.normalizeRecipients(params.to)
+      .map(number => RequesterLinks.normalizePhone(number).replace(/#/g, '%23'));
+    const platform = params.platform || RequesterLinks.detectPlatform();
+    const separator = platform === 'ios' ? '&' : '?';
+
+    return `sms:${recipients.join(',')}` + RequesterLinks._query({ body: params.body }, separator);
+  },
+
+  /**
+   * Build a WhatsApp share link, optionally addressed to a phone number
+   * @param {Object} params - text, phone
+   * @returns {string}
+   */
+  whatsapp(params = {}) {
+    // wa.me wants the international number without + or formatting
+    const phone = params.phone ? RequesterLinks.normalizePhone(params.phone).replace(/\D/g, '') : '';
+    return `https://wa.me/${phone}` + RequesterLinks._query({ text: params.text });
+  },
+
+  /**
+   * Build a Telegram share link
+   * @param {Object} params - url, text
+   * @returns {string}
+   */
+  telegram(params = {}) {
+    if (!params.url && !params.text) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, 'Telegram share needs a url or text');
+    }
+    return 'https://t.me/share/url' + RequesterLinks._query({ url: params.url || '', text: params.text });
+  },
+
+  /**
+   * Turn a Date, timestamp or string into a Date; 'YYYY-MM-DD' means local midnight, not UTC
+   * @private
+   */
+  _toDate(value) {
+    const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = dateOnly
+      ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+      : new Date(value instanceof Date ? value.getTime() : value);
+    if (isNaN(date.getTime())) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `Invalid date: ${value}`);
+    }
+    return date;
+  },
+
+  /**
+   * Format a date as an iCalendar DATE (local calendar day) or UTC DATE-TIME value
+   * @private
+   */
+  _icsDate(value, allDay = false) {
+    const date = RequesterLinks._toDate(value);
+    if (allDay) {
+      const pad = number => String(number).padStart(2, '0');
+      return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    }
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  /**
+   * Escape an iCalendar TEXT value
+   * @private
+   */
+  _icsText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Fold a content line at 75 UTF-8 octets as RFC 5545 requires, never inside a character
+   * @private
+   */
+  _icsFold(line) {
+    const octets = codePoint => codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+      const length = octets(char.codePointAt(0));
+      if (size + length > 75) {
+        parts.push(current);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        current = ' ';
+        size = 1;
+      }
+      current += char;
+      size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+  },
+
+  /**
+   * Build an .ics calendar document for a single event
+   * @param {Object} event - title, start, end (Date | string | number), allDay, description, location, url, uid
+   * @returns {string}
+   */
+  ics(event = {}) {
+    if (!event.title || !event.start) {
+      throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, 'Calendar event needs a title and start');
+    }
+
+    const allDay = !!event.allDay;
+    const start = RequesterLinks._toDate(event.start);
+    let end = event.end ? RequesterLinks._toDate(event.end) : null;
+    // Default to one hour, or the next calendar day for all-day events
+    if (!end) {
+      end = new Date(start.getTime());
+      if (allDay) end.setDate(end.getDate() + 1);
+      else end.setTime(end.getTime() + 3600000);
+    }
+    const dateProperty = (name, value) => allDay
+      ? `${name};VALUE=DATE:${RequesterLinks._icsDate(value, true)}`
+      : `${name}:${RequesterLinks._icsDate(value)}`;
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Requester.js//EN',
+      'CALSCALE:GREGORIAN',
+      'BEGIN:VEVENT',
+      `UID:${event.uid || `${Date.now()}-${Math.random().toString(36).slice(2)}@requester.js`}`,
+      `DTSTAMP:${RequesterLinks._icsDate(new Date())}`,
+      dateProperty('DTSTART', start),
+      dateProperty('DTEND', end),
+      `SUMMARY:${RequesterLinks._icsText(event.title)}`
+    ];
+    if (event.description) lines.push(`DESCRIPTION:${RequesterLinks._icsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${RequesterLinks._icsText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(RequesterLinks._icsFold).join('\r\n') + '\r\n';
+  }
+};
+
+class Requester {
+  constructor() {
+    this.settings = {
+      showErrorPopup: true,
+      errorPopupDuration: 3000,
+      errorPopupStyle: {
+        position: 'fixed',
+        top: '20px',
+        right: '20px',
+        padding: '15px 20px',
+        background: '#f44336',
+        color: 'white',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        zIndex: '10000',
+        fontFamily: 'Arial, sans-serif',
+        maxWidth: '300px'
+      },
+      dialogOverlayStyle: {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        right: '0',
+        bottom: '0',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(0,0,0,0.5)',
+        zIndex: '10001'
+      },
+      dialogStyle: {
+        background: 'white',
+        color: '#222',
+        padding: '24px',
+        borderRadius: '8px',
+        boxShadow: '0 4px 20px rgba(0,0,0,0.3)',
+        fontFamily: 'Arial, sans-serif',
+        maxWidth: '400px',
+        width: 'calc(100% - 40px)',
+        boxSizing: 'border-box'
+      },
+      dialogButtonStyle: {
+        padding: '10px 18px',
+        marginLeft: '8px',
+        border: 'none',
+        borderRadius: '5px',
+        background: '#2196f3',
+        color: 'white',
+        cursor: 'pointer',
+        fontSize: '14px'
+      },
+      dialogSecondaryButtonStyle: {
+        background: 'transparent',
+        color: '#555'
+      },
+      dialogLabels: {
+        accept: 'Continue',
+        decline: 'Not now'
+      },
+      recoveryGuide: false,
+      locale: null,
+      recoveryPanelStyle: {
+        position: 'fixed',
+        bottom: '20px',
+        right: '20px',
+        padding: '16px 20px',
+        background: 'white',
+        color: '#222',
+        borderLeft: '4px solid #f44336',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        zIndex: '10000',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        maxWidth: '340px'
+      },
+      softAsk: {
+        enabled: false,
+        capabilities: null,
+        cooldown: 7 * 24 * 60 * 60 * 1000,
+        storageKeyPrefix: 'requester.softDecline.',
+        content: {}
+      },
+      onAccept: null,
+      onDecline: null,
+      onError: null,
+      resultMode: 'legacy',
+      useServiceWorker: false,
+      serviceWorkerPath: '/requester-sw.js',
+      // Scripts the worker loads with importScripts() to register extra RPC handlers
+      serviceWorkerExtensions: [],
+      onServiceWorkerStale: null,
+      notificationCallbackTTL: 7 * 24 * 60 * 60 * 1000,
+      // Another tab's notification with the same tag within this window (ms) is not shown again.
+      // Off by default: a re-sent tag normally replaces the notification it already showed
+      notificationDedupeWindow: 0,
+      onPushSubscriptionChange: null
+    };
+    
+    this.activeStreams = {
+      camera: null,
+      microphone: null,
+      screen: null
+    };
+
+    this.microphoneAnalysers = new Set();
+    this.streams = new MediaStreamManager();
+    this.streams.on('removed', ({ stream }) => {
+      Object.keys(this.activeStreams).forEach(slot => {
+        if (this.activeStreams[slot] === stream) this.activeStreams[slot] = null;
+      });
+      this.microphoneAnalysers.forEach(analyser => {
+        if (analyser.stream === stream) analyser.stop();
+      });
+    });
+
+    this.serviceWorkerRegistration = null;
+    this.serviceWorkerVersion = null;
+    this.serviceWorkerStale = false;
+    this._rpcCounter = 0;
+    this.notificationCallbacks = new Map();
+    this.notifications = new NotificationManager(this);
+    this._tabs = null;
+    this._setupServiceWorkerMessageListener();
+  }
+
+  /**
+   * Cross-tab coordinator, created on first use
+   * @returns {TabCoordinator}
+   */
+  get tabs() {
+    if (!this._tabs) this._tabs = new TabCoordinator();
+    return this._tabs;
+  }
+
+  /**
+   * Configure Requester settings
+   * @param {Object} options - Configuration options
+   */
+  setSettings(options = {}) {
+    const previous = this.settings;
+    this.settings = { ...previous, ...options };
+
+    // Style and label objects are merged rather than replaced
+    const mergedKeys = [
+      'errorPopupStyle',
+      'dialogOverlayStyle',
+      'dialogStyle',
+      'dialogButtonStyle',
+      'dialogSecondaryButtonStyle',
+      'dialogLabels',
+      'softAsk',
+      'recoveryPanelStyle'
+    ];
+    mergedKeys.forEach(key => {
+      if (options[key]) {
+        this.settings[key] = { ...previous[key], ...options[key] };
+      }
+    });
+  }
+
+  /**
+   * Setup Service Worker message listener
+   * @private
+   */
+  _setupServiceWorkerMessageListener() {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        const { type, tag, action } = event.data;
+
+        if (type === 'PUSH_SUBSCRIPTION_CHANGED') {
+          this._handlePushSubscriptionChange(event.data);
+          return;
+        }
+
+        if (type === 'NOTIFICATION_CLOSED') {
+          this.notifications._untrack(tag);
+        }
+
+        const callbacks = this.notificationCallbacks.get(tag);
+
+        if (!callbacks) return;
+
+        switch (type) {
+          case 'NOTIFICATION_ACTION_CLICKED':
+            const button = callbacks.buttons?.find(btn => btn.action === action);
+            if (button && button.onClick) {
+              button.onClick();
+            }
+            break;
+          case 'NOTIFICATION_CLICKED':
+            if (callbacks.onClick) {
+              callbacks.onClick();
+            }
+            break;
+          case 'NOTIFICATION_CLOSED':
+            if (callbacks.onClose) {
+              callbacks.onClose();
+            }
+            this.notificationCallbacks.delete(tag);
+            break;
+        }
+      });
+    }
+  }
+
+  /**
+   * Report a rotated push subscription once, from whichever tab with a callback sees it first
+   * @private
+   */
+  async _handlePushSubscriptionChange({ subscription, oldSubscription }) {
+    if (!this.settings.onPushSubscriptionChange) return;
+
+    const endpoint = (subscription && subscription.endpoint) || (oldSubscription && oldSubscription.endpoint) || '';
+    if (!(await this.tabs.claimOnce('push-subscription', endpoint, 30000))) return;
+
+    this.settings.onPushSubscriptionChange(subscription, oldSubscription);
+  }
+
+  /**
+   * Register Service Worker for advanced notification features
+   * @returns {Promise<ServiceWorkerRegistration>}
+   */
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      throw new Error('Service Workers are not supported in this browser');
+    }
+
+    try {
+      this.serviceWorkerRegistration = await navigator.serviceWorker.register(
+        this._serviceWorkerUrl()
+      );
+      
+      // Wait for service worker to be active
+      await this._getActiveServiceWorker();
+      
+      this.settings.useServiceWorker = true;
+      console.log('Requester.js: Service Worker registered successfully');
+
+      await this.checkServiceWorkerVersion();
+
+      // Show schedules that came due while no worker timer was running
+      this.callServiceWorker('checkScheduledNotifications').catch(() => {});
+      
+      return this.serviceWorkerRegistration;
+    } catch (error) {
+      console.error('Requester.js: Service Worker registration failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The known registration, or the one already controlling this page (e.g. after a reload
+   * where registerServiceWorker() wasn't called again)
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   * @private
+   */
+  async _findServiceWorkerRegistration() {
+    if (this.serviceWorkerRegistration) return this.serviceWorkerRegistration;
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.getRegistration) {
+      return null;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration) this.serviceWorkerRegistration = registration;
+      return registration || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Call a Service Worker handler over a MessageChannel
+   * Built-in methods back notifications and scheduling; add your own with self.requesterSW.registerHandler()
+   * @param {string} method - Handler name
+   * @param {Object} params - Structured-cloneable parameters
+   * @param {Object} options - ackTimeout (ms for the worker to acknowledge, default 2000),
+   *   timeout (ms for the result, default 10000)
+   * @returns {Promise<*>} The handler's result, rejects with a RequesterError
+   */
+  async callServiceWorker(method, params = {}, options = {}) {
+    const worker = await this._getActiveServiceWorker();
+    const id = `rpc-${Date.now().toString(36)}-${++this._rpcCounter}`;
+    const codes = Object.values(RequesterError.codes);
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      let ackTimer = null;
+      let resultTimer = null;
+      const finish = (callback, value) => {
+        clearTimeout(ackTimer);
+        clearTimeout(resultTimer);
+        channel.port1.close();
+        callback(value);
+      };
+      const timeoutError = message => new RequesterError(RequesterError.codes.TIMEOUT, message, { capability: 'service-worker' });
+
+      // A worker that never acknowledges predates the RPC protocol (or is stuck)
+      ackTimer = setTimeout(() => {
+        finish(reject, timeoutError(`Service Worker did not acknowledge "${method}"`));
+      }, options.ackTimeout || 2000);
+      resultTimer = setTimeout(() => {
+        finish(reject, timeoutError(`Service Worker call "${method}" timed out`));
+      }, options.timeout || 10000);
+
+      channel.port1.onmessage = ({ data }) => {
+        if (!data || data.id !== id) return;
+
+        if (data.ack) {
+          clearTimeout(ackTimer);
+        } else if (data.ok) {
+          finish(resolve, data.result);
+        } else {
+          const code = codes.includes(data.error.code) ? data.error.code : RequesterError.codes.UNKNOWN;
+          finish(reject, new RequesterError(code, data.error.message, { capability: 'service-worker' }));
+        }
+      };
+
+      worker.postMessage({
+        type: 'REQUESTER_RPC',
+        id,
+        method,
+        params,
+        version: Requester.serviceWorkerProtocolVersion
+      }, [channel.port2]);
+    });
+  }
+
+  /**
+   * Compare the worker's protocol version with this page's and ask the browser for a fresh worker on mismatch
+   * @returns {Promise<boolean>} Whether the worker speaks the same protocol
+   */
+  async checkServiceWorkerVersion() {
+    let version = null;
+
+    try {
+      ({ version } = await this.callServiceWorker('handshake'));
+    } catch (error) {
+      // No answer means a cached worker from before the handshake existed
+    }
+
+    this.serviceWorkerVersion = version;
+    this.serviceWorkerStale = version !== Requester.serviceWorkerProtocolVersion;
+
+    if (this.serviceWorkerStale) {
+      const details = { expected: Requester.serviceWorkerProtocolVersion, actual: version };
+      console.warn('Requester.js: Service Worker protocol mismatch, requesting an update', details);
+      if (this.settings.onServiceWorkerStale) this.settings.onServiceWorkerStale(details);
+      this.serviceWorkerRegistration.update().catch(() => {});
+    }
+
+    return !this.serviceWorkerStale;
+  }
+
+  /**
+   * The registration's active worker, waiting for an installing/waiting one to activate if needed
+   * @private
+   */
+  async _getActiveServiceWorker(timeout = 10000) {
+    const registration = this.serviceWorkerRegistration || await this.registerServiceWorker();
+    if (registration.active) return registration.active;
+
+    const pending = registration.installing || registration.waiting;
+    if (!pending) {
+      throw new RequesterError(RequesterError.codes.UNKNOWN, 'No Service Worker is installing or active', { capability: 'service-worker' });
+    }
+
+    return new Promise((resolve, reject) => {
+      const done = (callback, value) => {
+        clearTimeout(timer);
+        pending.removeEventListener('statechange', onStateChange);
+        callback(value);
+      };
+      const onStateChange = () => {
+        if (registration.active) {
+          done(resolve, registration.active);
+        } else if (pending.state === 'redundant') {
+          done(reject, new RequesterError(RequesterError.codes.UNKNOWN, 'Service Worker failed to install', { capability: 'service-worker' }));
+        }
+      };
+      const timer = setTimeout(() => {
+        done(reject, new RequesterError(RequesterError.codes.TIMEOUT, 'Service Worker did not activate', { capability: 'service-worker' }));
+      }, timeout);
+
+      pending.addEventListener('statechange', onStateChange);
+    });
+  }
+
+  /**
+   * Service worker URL with extension scripts appended as ?extension=
+   * @private
+   */
+  _serviceWorkerUrl() {
+    const extensions = this.settings.serviceWorkerExtensions || [];
+    if (extensions.length === 0) return this.settings.serviceWorkerPath;
+
+    const url = new URL(this.settings.serviceWorkerPath, window.location.href);
+    extensions.forEach(script => url.searchParams.append('extension', script));
+    return url.pathname + url.search;
+  }
+
+  /**
+   * Show error popup
+   * @param {string|RequesterError} error - Message or error to display
+   * @private
+   */
+  _showError(error) {
+    if (!this.settings.showErrorPopup) return;
+    
+    const popup = document.createElement('div');
+    Object.assign(popup.style, this.settings.errorPopupStyle);
+    popup.textContent = typeof error === 'string' ? error : error.message;
+    if (error instanceof RequesterError) {
+      popup.dataset.code = error.code;
+    }
+    
+    document.body.appendChild(popup);
+    
+    setTimeout(() => {
+      popup.style.transition = 'opacity 0.3s';
+      popup.style.opacity = '0';
+      setTimeout(() => popup.remove(), 300);
+    }, this.settings.errorPopupDuration);
+  }
+
+  /**
+   * Show a modal dialog with accept/decline buttons
+   * @param {Object} content - title, message, acceptLabel, declineLabel, step ("Step 1 of 3")
+   * @returns {Promise<boolean>} true if the user accepted
+   * @private
+   */
+  _showDialog(content = {}) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      Object.assign(overlay.style, this.settings.dialogOverlayStyle);
+
+      const dialog = document.createElement('div');
+      Object.assign(dialog.style, this.settings.dialogStyle);
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+
+      if (content.step) {
+        const step = document.createElement('div');
+        step.textContent = content.step;
+        Object.assign(step.style, { fontSize: '12px', opacity: '0.6', marginBottom: '8px' });
+        dialog.appendChild(step);
+      }
+
+      if (content.title) {
+        const title = document.createElement('h3');
+        title.textContent = content.title;
+        Object.assign(title.style, { margin: '0 0 12px' });
+        dialog.appendChild(title);
+      }
+
+      if (content.message) {
+        const message = document.createElement('p');
+        message.textContent = content.message;
+        Object.assign(message.style, { margin: '0 0 20px', lineHeight: '1.4', whiteSpace: 'pre-line' });
+        dialog.appendChild(message);
+      }
+
+      const actions = document.createElement('div');
+      actions.style.textAlign = 'right';
+
+      const close = (accepted) => {
+        document.removeEventListener('keydown', onKeyDown);
+        overlay.remove();
+        resolve(accepted);
+      };
+      const onKeyDown = (e) => {
+        if (e.key === 'Escape') close(false);
+      };
+
+      const declineButton = document.createElement('button');
+      declineButton.type = 'button';
+      declineButton.textContent = content.declineLabel || this.settings.dialogLabels.decline;
+      Object.assign(declineButton.style, this.settings.dialogButtonStyle, this.settings.dialogSecondaryButtonStyle);
+      declineButton.addEventListener('click', () => close(false));
+
+      const acceptButton = document.createElement('button');
+      acceptButton.type = 'button';
+      acceptButton.textContent = content.acceptLabel || this.settings.dialogLabels.accept;
+      Object.assign(acceptButton.style, this.settings.dialogButtonStyle);
+      acceptButton.addEventListener('click', () => close(true));
+
+      actions.appendChild(declineButton);
+      actions.appendChild(acceptButton);
+      dialog.appendChild(actions);
+      overlay.appendChild(dialog);
+
+      document.addEventListener('keydown', onKeyDown);
+      document.body.appendChild(overlay);
+      acceptButton.focus();
+    });
+  }
+
+  /**
+   * Handle response with callbacks
+   * Returns the result (or null) by default, a { ok, value, error } object when
+   * resultMode is 'result', and throws the error when resultMode is 'reject'
+   * @private
+   */
+  _handleResponse(success, result, error = null) {
+    if (success && this.settings.onAccept) {
+      this.settings.onAccept(result);
+    } else if (!success && this.settings.onDecline) {
+      this.settings.onDecline(error);
+    }
+    
+    // Same rule as the per-call onError in _fail: declines aren't errors
+    if (error && this.settings.onError && !Requester.declineCodes.includes(error.code)) {
+      this.settings.onError(error);
+    }
+
+    if (this.settings.resultMode === 'result') {
+      return success
+        ? { ok: true, value: result, error: null }
+        : { ok: false, value: null, error };
+    }
+
+    if (!success && this.settings.resultMode === 'reject') {
+      throw error;
+    }
+    
+    // Failures return null unless the method documents another value (requestFullscreen: false)
+    return success ? result : (result ?? null);
+  }
+
+  /**
+   * Normalize a failed request, show it and run the decline/error callbacks
+   * @param {string} capability - Capability name
+   * @param {*} error - Original error
+   * @param {Object} options - Per-call callbacks
+   * @param {string} prefix - Message prefix for errors coming from the browser
+   * @param {*} failureValue - Legacy return value on failure (null by default)
+   * @private
+   */
+  _fail(capability, error, options = {}, prefix = null, failureValue = null) {
+    const requesterError = RequesterError.from(error, capability, prefix);
+
+    // The user already answered our own dialog, no need for a red toast
+    if (requesterError.code !== RequesterError.codes.SOFT_DECLINED) {
+      this._showError(requesterError);
+    }
+    if (options.onDecline) options.onDecline(requesterError);
+    // A user saying no is a decline, not an error
+    if (options.onError && !Requester.declineCodes.includes(requesterError.code)) {
+      options.onError(requesterError);
+    }
+
+    if (this.settings.recoveryGuide && requesterError.code === RequesterError.codes.PERMISSION_DENIED) {
+      this.showPermissionRecovery(capability, options).catch(error => {
+        console.warn('Requester.js: Could not show permission recovery:', error);
+      });
+    }
+
+    return this._handleResponse(false, failureValue, requesterError);
+  }
+
+  /**
+   * Throw an unsupported (or insecure context) RequesterError when a feature is missing
+   * @private
+   */
+  _assertSupported(capability, supported, message) {
+    if (supported) return;
+
+    if (typeof window !== 'undefined' && window.isSecureContext === false) {
+      throw new RequesterError(
+        RequesterError.codes.INSECURE_CONTEXT,
+        `${message} (requires a secure context)`,
+        { capability }
+      );
+    }
+    throw new RequesterError(RequesterError.codes.UNSUPPORTED, message, { capability });
+  }
+
+  // ========== SOFT ASK ==========
+
+  /**
+   * Show an in-page "soft ask" dialog before the native prompt, so a "no" doesn't burn it
+   * Enabled globally through settings.softAsk or per call with options.softAsk (true or dialog content)
+   * Throws a SOFT_DECLINED RequesterError if the user declines or declined within the cooldown
+   * @private
+   */
+  async _softAsk(capability, options = {}) {
+    const config = this.settings.softAsk;
+    const perCall = options.softAsk;
+
+    if (perCall === false) return;
+    const enabled = perCall || config.enabled ||
+      (Array.isArray(config.capabilities) && config.capabilities.includes(capability));
+    if (!enabled) return;
+
+    // Nothing to protect once the permission is granted
+    if (await this.checkPermission(capability) === 'granted') return;
+
+    const cooldown = (typeof perCall === 'object' && perCall.cooldown) || config.cooldown;
+    const declinedAt = this._getSoftDecline(capability);
+    if (declinedAt && Date.now() - declinedAt < cooldown) {
+      throw new RequesterError(
+        RequesterError.codes.SOFT_DECLINED,
+        'Permission request declined recently',
+        { capability }
+      );
+    }
+
+    const content = {
+      title: 'Allow access?',
+      message: Requester.defaultExplanations[capability],
+      ...config.content[capability],
+      ...(typeof perCall === 'object' ? perCall : {})
+    };
+
+    const accepted = await this._showDialog({
+      title: content.title,
+      message: content.message,
+      acceptLabel: content.acceptLabel,
+      declineLabel: content.declineLabel
+    });
+
+    if (!accepted) {
+      this._setSoftDecline(capability, Date.now());
+      throw new RequesterError(
+        RequesterError.codes.SOFT_DECLINED,
+        'Permission request declined',
+        { capability }
+      );
+    }
+
+    this._setSoftDecline(capability, null);
+  }
+
+  /**
+   * Clear remembered soft declines so the soft ask shows again
+   * @param {string} capability - Capability name (all capabilities if omitted)
+   */
+  resetSoftAsk(capability = null) {
+    const capabilities = capability ? [capability] : Object.keys(Requester.defaultExplanations);
+    capabilities.forEach(name => this._setSoftDecline(name, null));
+  }
+
+  /**
+   * Read the soft decline timestamp for a capability
+   * @private
+   */
+  _getSoftDecline(capability) {
+    try {
+      const value = localStorage.getItem(this.settings.softAsk.storageKeyPrefix + capability);
+      return value ? Number(value) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store (or clear with null) the soft decline timestamp for a capability
+   * @private
+   */
+  _setSoftDecline(capability, timestamp) {
+    try {
+      const key = this.settings.softAsk.storageKeyPrefix + capability;
+      if (timestamp === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, String(timestamp));
+      }
+    } catch (error) {
+      // Storage unavailable (private mode), the soft ask just won't be remembered
+    }
+  }
+
+  // ========== NOTIFICATIONS ==========
+
+  /**
+   * Request notification permission
+   * @param {Object} options - Custom callbacks
+   * @returns {Promise<string>} Permission status
+   */
+  async requestNotifications(options = {}) {
+    try {
+      this._assertSupported('notifications', 'Notification' in window, 'Notifications not supported in this browser');
+      await this._softAsk('notifications', options);
+
+      const permission = await Notification.requestPermission();
+      
+      if (permission === 'granted') {
+        if (options.onAccept) options.onAccept(permission);
+        return this._handleResponse(true, permission);
+      } else {
+        throw new RequesterError(
+          permission === 'denied' ? RequesterError.codes.PERMISSION_DENIED : RequesterError.codes.DISMISSED,
+          permission === 'denied' ? 'Notification permission denied' : 'Notification prompt dismissed',
+          { capability: 'notifications' }
+        );
+      }
+    } catch (error) {
+      return this._fail('notifications', error, options, 'Notification error');
+    }
+  }
+
+  /**
+   * Send a notification
+   * @param {string} title - Notification title
+   * @param {string} text - Notification body
+   * @param {string} attachment - Icon URL (optional)
+   * @param {Object} options - Notification options (buttons, onClick, onClose, clickAction, etc.)
+   * Buttons and clickAction accept { openUrl }, { focusOrOpen }, { postToUrl, body } or { dismiss },
+   * which the Service Worker carries out even when no page is open. clickAction.defaultUrl replaces the
+   * page a plain click focuses or opens (default: the Service Worker scope).
+   * options.group files the notification under a group (see notifications.configureGroup).
+   * With settings.notificationDedupeWindow set, a tagged notification another tab just showed is skipped
+   * @returns {Notification|Promise<void>|null}
+   */
+  async sendNotification(title, text, attachment = null, options = {}) {
+    if (Notification.permission !== 'granted') {
+      this._showError('Notification permission not granted');
+      return null;
+    }
+
+    if (options.tag && this.settings.notificationDedupeWindow > 0) {
+      const shouldShow = await this.tabs.claimNotification(options.tag, this.settings.notificationDedupeWindow);
+      if (!shouldShow) return null;
+    }
+
+    // Every notification gets a tag so the manager can find, update and close it later
+    options = { ...options, tag: options.tag || this.notifications._createTag() };
+
+    if (options.group) {
+      const summary = await this.notifications._collapseIfNeeded(title, text, attachment, options);
+      if (summary !== undefined) return summary;
+    }
+
+    return this._dispatchNotification(title, text, attachment, options);
+  }
+
+  /**
+   * Route a notification to the basic or Service Worker implementation and track the result
+   * @private
+   */
+  async _dispatchNotification(title, text, attachment, options) {
+    const result = await this._routeNotification(title, text, attachment, options);
+    if (result) this.notifications._track(result, title, text, attachment, options);
+    return result;
+  }
+
+  /**
+   * Pick the basic or Service Worker implementation
+   * @private
+   */
+  _routeNotification(title, text, attachment, options) {
+    // Check if buttons are requested
+    const hasButtons = options.buttons && options.buttons.length > 0;
+
+    // If buttons are requested but SW not registered, try to use SW anyway or warn
+    if (hasButtons && !this.settings.useServiceWorker) {
+      console.warn('Requester.js: Buttons requested but Service Worker not registered. Sending notification without buttons. Call registerServiceWorker() first for button support.');
+      // Remove buttons from options to prevent error
+      const optionsWithoutButtons = { ...options };
+      delete optionsWithoutButtons.buttons;
+      return this._sendBasicNotification(title, text, attachment, optionsWithoutButtons);
+    }
+
+    // Use Service Worker for notifications with buttons or a declarative click action
+    if (this.settings.useServiceWorker && this.serviceWorkerRegistration && (hasButtons || options.clickAction)) {
+      return this._sendServiceWorkerNotification(title, text, attachment, options);
+    }
+
+    // Use basic Notification API
+    return this._sendBasicNotification(title, text, attachment, options);
+  }
+
+  /**
+   * Send notification using Service Worker (supports buttons)
+   * @private
+   */
+  async _sendServiceWorkerNotification(title, text, attachment, options) {
+    try {
+      const tag = options.tag || `notification-${Date.now()}`;
+      
+      const notifOptions = {
+        body: text,
+        icon: attachment,
+        tag: tag,
+        badge: options.badge,
+        image: options.image,
+        data: options.data,
+        requireInteraction: options.requireInteraction,
+        silent: options.silent,
+        vibrate: options.vibrate,
+        renotify: options.renotify
+      };
+
+      const buttons = (options.buttons || []).map((btn, idx) => ({
+        ...btn,
+        action: btn.action || `action-${idx}`
+      }));
+
+      // Add action buttons
+      if (buttons.length > 0) {
+        notifOptions.actions = buttons.map((btn, idx) => ({
+          action: btn.action,
+          title: btn.label || btn.title || `Button ${idx + 1}`,
+          icon: btn.icon
+        }));
+      }
+
+      // Store callbacks with action references
+      const callbackData = {
+        buttons: buttons.map(btn => ({
+          action: btn.action,
+          onClick: btn.onClick
+        })),
+        onClick: options.onClick,
+        onClose: options.onClose
+      };
+
+      this.notificationCallbacks.set(tag, callbackData);
+
+      // Send serializable callbacks info to service worker (functions can't be cloned),
+      // it persists them so clicks still route after the worker restarts. Not awaited: the
+      // message reaches the worker before any click can, and a slow worker mustn't delay display
+      this.callServiceWorker('storeNotificationCallbacks', {
+        tag: tag,
+        ttl: options.callbackTTL || this.settings.notificationCallbackTTL,
+        callbacks: this._serializeNotificationCallbacks(buttons, options)
+      }).catch(error => {
+        // Page callbacks still run while this tab is open, only the worker-side actions are lost
+        console.warn('Requester.js: Could not store notification callbacks in the Service Worker:', error);
+      });
+
+      // Show notification via service worker
+      await this.serviceWorkerRegistration.showNotification(title, notifOptions);
+      
+      return { tag, registration: this.serviceWorkerRegistration };
+    } catch (error) {
+      this._showError(`Failed to create notification: ${error.message}`);
+      if (options.onError) {
+        options.onError(error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Describe callbacks in a form the service worker can store (functions become flags)
+   * Click actions go through as given, the service worker decides which fields it supports
+   * @private
+   */
+  _serializeNotificationCallbacks(buttons, options) {
+    return {
+      buttons: buttons.map(btn => ({
+        action: btn.action,
+        onClick: typeof btn.onClick === 'function',
+        clickAction: this._cloneableClickAction(btn)
+      })),
+      onClick: typeof options.onClick === 'function',
+      onClose: typeof options.onClose === 'function',
+      clickAction: this._cloneableClickAction(options.clickAction)
+    };
+  }
+
+  /**
+   * Drop functions (button onClick and the like) so a click action survives postMessage
+   * @private
+   */
+  _cloneableClickAction(source) {
+    if (!source || typeof source !== 'object') return null;
+    return Object.fromEntries(Object.entries(source).filter(([, value]) => typeof value !== 'function'));
+  }
+
+  /**
+   * Send basic notification (no buttons)
+   * @private
+   */
+  _sendBasicNotification(title, text, attachment, options) {
+    // List of properties that are NOT part of the Notification constructor
+    const nonNotificationProps = ['buttons', 'onClick', 'onClose', 'onError', 'callbackTTL', 'clickAction', 'group', '_summaryOf'];
+
+    // Only include supported properties for basic Notification API
+    const notifOptions = {
+      body: text,
+      icon: attachment
+    };
+
+    // Add optional supported properties if provided (excluding callbacks and buttons)
+    for (const key in options) {
+      if (options.hasOwnProperty(key) && !nonNotificationProps.includes(key)) {
+        notifOptions[key] = options[key];
+      }
+    }
+
+    // Explicitly remove actions if it somehow got through
+    delete notifOptions.actions;
+    delete notifOptions.buttons;
+
+    try {
+      const notification = new Notification(title, notifOptions);
+
+      // Handle notification click
+      notification.onclick = (e) => {
+        if (options.onClick) {
+          options.onClick(e);
+        }
+        notification.close();
+      };
+
+      notification.onclose = (e) => {
+        if (options.onClose) {
+          options.onClose(e);
+        }
+      };
+
+      notification.onerror = (e) => {
+        if (options.onError) {
+          options.onError(e);
+        }
+      };
+
+      return notification;
+    } catch (error) {
+      this._showError(`Failed to create notification: ${error.message}`);
+      if (options.onError) {
+        options.onError(error);
+      }
+      return null;
+    }
+  }
+
+  // ========== PUSH ==========
+
+  /**
+   * Subscribe to Web Push (registers the Service Worker and asks for notification permission if needed)
+   * @param {Object} options - applicationServerKey, userVisibleOnly, onSubscriptionChange and custom callbacks
+   * @returns {Promise<PushSubscription|null>}
+   */
+  async requestPush(options = {}) {
+    try {
+      this._assertSupported(
+        'push',
+        'serviceWorker' in navigator && 'PushManager' in window,
+        'Push messaging not supported in this browser'
+      );
+      await this._softAsk('push', options);
+
+      if (!options.applicationServerKey) {
+        throw new RequesterError(
+          RequesterError.codes.INVALID_ARGUMENT,
+          'applicationServerKey is required',
+          { capability: 'push' }
+        );
+      }
+
+      if (options.onSubscriptionChange) {
+        this.settings.onPushSubscriptionChange = options.onSubscriptionChange;
+      }
+
+      if (!this.serviceWorkerRegistration) {
+        await this.registerServiceWorker();
+      }
+
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        throw new RequesterError(
+          permission === 'denied' ? RequesterError.codes.PERMISSION_DENIED : RequesterError.codes.DISMISSED,
+          'Notification permission denied',
+          { capability: 'push' }
+        );
+      }
+
+      const applicationServerKey = typeof options.applicationServerKey === 'string'
+        ? this._urlBase64ToUint8Array(options.applicationServerKey)
+        : options.applicationServerKey;
+
+      const subscription = await this.serviceWorkerRegistration.pushManager.subscribe({
+        userVisibleOnly: options.userVisibleOnly !== false,
+        applicationServerKey
+      });
+
+      if (options.onAccept) options.onAccept(subscription);
+      return this._handleResponse(true, subscription);
+    } catch (error) {
+      return this._fail('push', error, options, 'Push subscription failed');
+    }
+  }
+
+  /**
+   * Get the current push subscription
+   * @returns {Promise<PushSubscription|null>}
+   */
+  async getPushSubscription() {
+    const registration = await this._findServiceWorkerRegistration();
+    if (!registration || !registration.pushManager) {
+      return null;
+    }
+
+    try {
+      return await registration.pushManager.getSubscription();
+    } catch (error) {
+      this._showError(`Failed to get push subscription: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Unsubscribe from Web Push
+   * @returns {Promise<boolean>}
+   */
+  async unsubscribePush() {
+    const subscription = await this.getPushSubscription();
+    if (!subscription) return false;
+
+    try {
+      return await subscription.unsubscribe();
+    } catch (error) {
+      this._showError(`Push unsubscribe failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Convert a base64url VAPID key to a Uint8Array
+   * @private
+   */
+  _urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+  }
+
+  // ========== SCHEDULED NOTIFICATIONS ==========
+
+  /**
+   * Schedule a notification for later, optionally repeating
+   * Uses Notification Triggers where available, otherwise a Service Worker timer woken by periodic sync.
+   * Schedules live in the Service Worker's IndexedDB, so they survive reloads
+   * (function callbacks only fire while this page is open)
+   * @param {string} title - Notification title
+   * @param {string} text - Notification body
+   * @param {Object} options - at (Date, timestamp, ISO string or 'HH:MM'), delay (ms),
+   *   repeat ('hourly', 'daily', 'weekly' or ms), plus sendNotification options and custom callbacks
+   * @returns {Promise<Object|null>} Handle { id, tag, fireAt, repeat, cancel() }
+   */
+  async scheduleNotification(title, text, options = {}) {
+    try {
+      this._assertSupported(
+        'notifications',
+        'serviceWorker' in navigator && 'Notification' in window,
+        'Scheduled notifications need Service Worker support'
+      );
+      if (Notification.permission !== 'granted') {
+        throw new RequesterError(
+          RequesterError.codes.PERMISSION_DENIED,
+          'Notification permission not granted',
+          { capability: 'notifications' }
+        );
+      }
+
+      const fireAt = this._resolveScheduleTime(options);
+      const interval = this._resolveRepeatInterval(options.repeat);
+      const id = `schedule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const tag = options.tag || id;
+      const buttons = (options.buttons || []).map((btn, idx) => ({
+        ...btn,
+        action: btn.action || `action-${idx}`
+      }));
+
+      if (!this.serviceWorkerRegistration) {
+        await this.registerServiceWorker();
+      }
+
+      const schedule = await this.callServiceWorker('scheduleNotification', {
+        schedule: {
+          id,
+          tag,
+          title,
+          fireAt,
+          interval,
+          repeat: options.repeat || null,
+          createdAt: Date.now(),
+          callbackTTL: options.callbackTTL || this.settings.notificationCallbackTTL,
+          notification: {
+            body: text,
+            icon: options.icon,
+            badge: options.badge,
+            image: options.image,
+            data: options.data,
+            requireInteraction: options.requireInteraction,
+            silent: options.silent,
+            vibrate: options.vibrate,
+            renotify: options.renotify
+          },
+          actions: buttons.map((btn, idx) => ({
+            action: btn.action,
+            title: btn.label || btn.title || `Button ${idx + 1}`,
+            icon: btn.icon
+          })),
+          callbacks: this._serializeNotificationCallbacks(buttons, options)
+        }
+      });
+
+      this.notificationCallbacks.set(tag, {
+        buttons: buttons.map(btn => ({ action: btn.action, onClick: btn.onClick })),
+        onClick: options.onClick,
+        onClose: options.onClose
+      });
+      if (interval || !schedule.triggered) this._registerScheduleSync();
+
+      const handle = { ...schedule, cancel: () => this.cancelScheduled(id) };
+      if (options.onAccept) options.onAccept(handle);
+      return this._handleResponse(true, handle);
+    } catch (error) {
+      return this._fail('notifications', error, options, 'Scheduling error');
+    }
+  }
+
+  /**
+   * List pending scheduled notifications
+   * @returns {Promise<Object[]>} { id, title, body, tag, fireAt, repeat, triggered, createdAt }
+   */
+  async listScheduled() {
+    if (!await this._findServiceWorkerRegistration()) return [];
+
+    try {
+      return await this.callServiceWorker('listScheduledNotifications');
+    } catch (error) {
+      this._showError(`Failed to list scheduled notifications: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Cancel a scheduled notification
+   * @param {string|Object} id - Schedule id or the handle returned by scheduleNotification
+   * @returns {Promise<boolean>} Whether a schedule was removed
+   */
+  async cancelScheduled(id) {
+    if (!await this._findServiceWorkerRegistration()) return false;
+    const scheduleId = typeof id === 'object' && id ? id.id : id;
+
+    try {
+      return await this.callServiceWorker('cancelScheduledNotification', { id: scheduleId });
+    } catch (error) {
+      this._showError(`Failed to cancel scheduled notification: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Turn at/delay options into a timestamp
+   * @private
+   */
+  _resolveScheduleTime(options) {
+    const invalid = (message) => new RequesterError(RequesterError.codes.INVALID_ARGUMENT, message, { capability: 'notifications' });
+    const now = Date.now();
+
+    if (options.delay !== undefined) {
+      if (typeof options.delay !== 'number' || options.delay < 0) throw invalid('delay must be a positive number of milliseconds');
+      return now + options.delay;
+    }
+
+    if (options.at === undefined) throw invalid('scheduleNotification needs an "at" time or a "delay"');
+
+    // Time of day: the next time the clock reads HH:MM
+    const timeOfDay = typeof options.at === 'string' && options.at.match(/^(\d{1,2}):(\d{2})$/);
+    if (timeOfDay) {
+      const next = new Date(now);
+      next.setHours(Number(timeOfDay[1]), Number(timeOfDay[2]), 0, 0);
+      if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+      return next.getTime();
+    }
+
+    const fireAt = new Date(options.at).getTime();
+    if (isNaN(fireAt)) throw invalid(`Invalid schedule time: ${options.at}`);
+    if (fireAt < now) throw invalid('Schedule time is in the past');
+    return fireAt;
+  }
+
+  /**
+   * Turn a repeat option into milliseconds
+   * @private
+   */
+  _resolveRepeatInterval(repeat) {
+    if (!repeat) return null;
+
+    const interval = typeof repeat === 'number' ? repeat : Requester.repeatIntervals[repeat];
+    if (!interval || interval < 60000) {
+      throw new RequesterError(
+        RequesterError.codes.INVALID_ARGUMENT,
+        `Invalid repeat: ${repeat} (use ${Object.keys(Requester.repeatIntervals).join(', ')} or at least 60000 ms)`,
+        { capability: 'notifications' }
+      );
+    }
+    return interval;
+  }
+
+  /**
+   * Ask for periodic background sync so timer based schedules fire even after the worker is stopped
+   * @private
+   */
+  async _registerScheduleSync() {
+    const registration = this.serviceWorkerRegistration;
+    if (!registration || !registration.periodicSync) return;
+
+    try {
+      await registration.periodicSync.register('requester-scheduled-notifications', {
+        minInterval: 15 * 60 * 1000
+      });
+    } catch (error) {
+      // Not installed as an app or permission not granted; timers and page visits still catch up
+    }
+  }
+
+  // ========== CAMERA ==========
+
+  /**
+   * Request camera access
+   * @param {Object} options - Custom callbacks, constraints, stream name, onEnded callback and
+   *   exclusive (fail with IN_USE while another tab has claimed the camera)
+   * @returns {Promise<MediaStream|null>}
+   */
+  async requestCamera(options = {}) {
+    let claim = null;
+
+    try {
+      this._assertSupported('camera', !!navigator.mediaDevices, 'Camera access not supported in this browser');
+      await this._softAsk('camera', options);
+
+      if (options.exclusive) {
+        claim = await this._claimExclusive('camera', 'camera', 'Camera');
+      }
+
+      const constraints = {
+        video: options.constraints?.video || true,
+        audio: false
+      };
+
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      this.streams.add(options.name || 'camera', stream, { kind: 'camera', onEnded: options.onEnded });
+      this.activeStreams.camera = stream;
+
+      if (claim) {
+        const unsubscribe = this.streams.on('removed', (event) => {
+          if (event.stream !== stream) return;
+          unsubscribe();
+          claim.release();
+        });
+      }
+      
+      if (options.onAccept) options.onAccept(stream);
+      return this._handleResponse(true, stream);
+    } catch (error) {
+      if (claim) claim.release();
+      return this._fail('camera', error, options, 'Camera access denied');
+    }
+  }
+
+  /**
+   * Get camera feed (alias for requestCamera)
+   * @param {Object} options - Custom callbacks and constraints
+   * @returns {Promise<MediaStream|null>}
+   */
+  getCameraFeed(options = {}) {
+    return this.requestCamera(options);
+  }
+
+  /**
+   * Stop camera stream (only its video tracks, a shared microphone keeps running)
+   */
+  stopCamera() {
+    if (this.activeStreams.camera) {
+      const stream = this.activeStreams.camera;
+      this.activeStreams.camera = null;
+      this.streams.stopTracks(stream, 'video');
+    }
+  }
+
+  /**
+   * Switch the camera of the active camera stream to another device
+   * @param {string} deviceId - Video input device ID
+   * @param {Object} constraints - Extra video constraints
+   * @returns {Promise<MediaStreamTrack|null>} The new video track
+   */
+  async switchCamera(deviceId, constraints = {}) {
+    return this._switchActiveDevice('camera', 'video', deviceId, constraints);
+  }
+
+  // ========== PHOTO CAPTURE ==========
+
+  /**
+   * Take a photo from the active camera stream
+   * @param {Object} options - width, height, type ('image/jpeg'), quality (0-1), mirror,
+   *   output ('blob' | 'dataURL') and stream (defaults to the active camera)
+   * @returns {Promise<Blob|string|null>}
+   */
+  async takePhoto(options = {}) {
+    const { type = 'image/jpeg', quality = 0.92, output = 'blob' } = options;
+
+    try {
+      const source = await this._openFrameSource(options.stream || this.activeStreams.camera);
+      let frame = null;
+
+      try {
+        // ImageCapture gives the full sensor resolution when no processing is needed
+        if (source.capture && !options.width && !options.height && !options.mirror && type === 'image/jpeg') {
+          try {
+            const photo = await source.capture.takePhoto();
+            return output === 'dataURL' ? await this._blobToDataURL(photo) : photo;
+          } catch (error) {
+            // Not supported by this camera, grab a frame instead
+          }
+        }
+
+        frame = await source.read();
+        const canvas = this._drawFrame(frame, options);
+
+        if (output === 'dataURL') {
+          return canvas.toDataURL(type, quality);
+        }
+        return await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+      } finally {
+        if (frame && typeof frame.close === 'function') frame.close();
+        source.close();
+      }
+    } catch (error) {
+      this._showError(RequesterError.from(error, 'camera', 'Failed to take photo'));
+      return null;
+    }
+  }
+
+  /**
+   * Sample frames from the active camera stream continuously
+   * @param {number} fps - Frames per second
+   * @param {Function} callback - Called with an ImageBitmap (or ImageData) per frame
+   * @param {Object} options - format ('imagebitmap' | 'imagedata'), width, height, mirror, stream, onError
+   * @returns {{stop: Function}|null} Handle to stop sampling
+   */
+  grabFrames(fps, callback, options = {}) {
+    const stream = options.stream || this.activeStreams.camera;
+    if (!stream || stream.getVideoTracks().length === 0) {
+      this._showError('No active camera stream, call requestCamera() first');
+      return null;
+    }
+
+    const interval = 1000 / (fps || 10);
+    const format = options.format || 'imagebitmap';
+    let source = null;
+    let canvas = null;
+    let timer = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (source) source.close();
+    };
+
+    const tick = async () => {
+      if (stopped) return;
+      const startedAt = Date.now();
+
+      if (stream.getVideoTracks().every(track => track.readyState === 'ended')) {
+        stop();
+        return;
+      }
+
+      try {
+        const frame = await source.read();
+        if (stopped) {
+          if (typeof frame.close === 'function') frame.close();
+          return;
+        }
+
+        const needsCanvas = format === 'imagedata' || options.width || options.height ||
+          options.mirror || typeof frame.close !== 'function';
+        if (!needsCanvas) {
+          callback(frame);
+        } else {
+          canvas = this._drawFrame(frame, options, canvas);
+          if (typeof frame.close === 'function') frame.close();
+          callback(format === 'imagedata'
+            ? canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+            : await createImageBitmap(canvas));
+        }
+      } catch (error) {
+        if (options.onError) options.onError(RequesterError.from(error, 'camera', 'Frame grab failed'));
+      }
+
+      timer = setTimeout(tick, Math.max(0, interval - (Date.now() - startedAt)));
+    };
+
+    this._openFrameSource(stream).then((opened) => {
+      source = opened;
+      if (stopped) {
+        source.close();
+        return;
+      }
+      tick();
+    }).catch((error) => {
+      this._showError(RequesterError.from(error, 'camera', 'Frame grab failed'));
+      if (options.onError) options.onError(RequesterError.from(error, 'camera'));
+    });
+
+    return { stop };
+  }
+
+  /**
+   * Open a frame reader on a stream's video track (ImageCapture, or a hidden video element)
+   * @private
+   */
+  async _openFrameSource(stream) {
+    const track = stream && stream.getVideoTracks()[0];
+    if (!track) {
+      throw new RequesterError(
+        RequesterError.codes.INVALID_ARGUMENT,
+        'No active camera stream, call requestCamera() first',
+        { capability: 'camera' }
+      );
+    }
+
+    if (typeof ImageCapture !== 'undefined') {
+      const capture = new ImageCapture(track);
+      return { capture, read: () => capture.grabFrame(), close: () => {} };
+    }
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([track]);
+
+    await new Promise((resolve, reject) => {
+      video.onloadedmetadata = resolve;
+      video.onerror = () => reject(video.error);
+    });
+    await video.play();
+
+    return {
+      capture: null,
+      read: async () => video,
+      close: () => {
+        video.pause();
+        video.srcObject = null;
+      }
+    };
+  }
+
+  /**
+   * Draw a frame (ImageBitmap or video element) to a canvas, resized and optionally mirrored
+   * @private
+   */
+  _drawFrame(frame, options = {}, canvas = null) {
+    const sourceWidth = frame.videoWidth || frame.width;
+    const sourceHeight = frame.videoHeight || frame.height;
+
+    // Keep the aspect ratio when only one dimension is given
+    let width = options.width || sourceWidth;
+    let height = options.height || sourceHeight;
+    if (options.width && !options.height) height = Math.round(sourceHeight * (options.width / sourceWidth));
+    if (options.height && !options.width) width = Math.round(sourceWidth * (options.height / sourceHeight));
+
+    const target = canvas || document.createElement('canvas');
+    if (target.width !== width) target.width = width;
+    if (target.height !== height) target.height = height;
+
+    const context = target.getContext('2d');
+    context.save();
+    if (options.mirror) {
+      context.translate(width, 0);
+      context.scale(-1, 1);
+    }
+    context.drawImage(frame, 0, 0, width, height);
+    context.restore();
+
+    return target;
+  }
+
+  /**
+   * Read a Blob as a data URL
+   * @private
+   */
+  _blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // ========== MICROPHONE ==========
+
+  /**
+   * Request microphone access
+   * @param {Object} options - Custom callbacks, constraints, stream name and onEnded callback
+   * @returns {Promise<MediaStream|null>}
+   */
+  async requestMicrophone(options = {}) {
+    try {
+      this._assertSupported('microphone', !!navigator.mediaDevices, 'Microphone access not supported in this browser');
+      await this._softAsk('microphone', options);
+
+      const constraints = {
+        audio: options.constraints?.audio || true,
+        video: false
+      };
+
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      this.streams.add(options.name || 'microphone', stream, { kind: 'microphone', onEnded: options.onEnded });
+      this.activeStreams.microphone = stream;
+      
+      if (options.onAccept) options.onAccept(stream);
+      return this._handleResponse(true, stream);
+    } catch (error) {
+      return this._fail('microphone', error, options, 'Microphone access denied');
+    }
+  }
+
+  /**
+   * Get microphone stream (alias)
+   * @param {Object} options - Custom callbacks and constraints
+   * @returns {Promise<MediaStream|null>}
+   */
+  getMicrophoneFeed(options = {}) {
+    return this.requestMicrophone(options);
+  }
+
+  /**
+   * Stop microphone stream (only its audio tracks, a shared camera keeps running)
+   */
+  stopMicrophone() {
+    if (this.activeStreams.microphone) {
+      const stream = this.activeStreams.microphone;
+      this.activeStreams.microphone = null;
+      this.microphoneAnalysers.forEach(analyser => {
+        if (analyser.stream === stream) analyser.stop();
+      });
+      this.streams.stopTracks(stream, 'audio');
+    }
+  }
+
+  /**
+   * Switch the microphone of the active microphone stream to another device
+   * @param {string} deviceId - Audio input device ID
+   * @param {Object} constraints - Extra audio constraints
+   * @returns {Promise<MediaStreamTrack|null>} The new audio track
+   */
+  async switchMicrophone(deviceId, constraints = {}) {
+    return this._switchActiveDevice('microphone', 'audio', deviceId, constraints);
+  }
+
+  /**
+   * Switch the device behind an activeStreams slot
+   * @private
+   */
+  async _switchActiveDevice(slot, kind, deviceId, constraints) {
+    const name = this.activeStreams[slot] ? this.streams.nameOf(this.activeStreams[slot]) : null;
+    if (!name) {
+      this._showError(`No active ${slot} stream to switch`);
+      return null;
+    }
+
+    try {
+      return await this.streams.switchDevice(name, kind, deviceId, constraints);
+    } catch (error) {
+      this._showError(RequesterError.from(error, slot, `Failed to switch ${slot}`));
+      return null;
+    }
+  }
+
+  // ========== MICROPHONE ANALYSIS ==========
+
+  /**
+   * Meter the input level and detect speech / silence on a microphone stream
+   * Stopped automatically by stopMicrophone()
+   * @param {Object} options - stream (defaults to the active microphone), interval, threshold (dB),
+   *   hangover (ms), silenceThreshold (dB), silenceTimeout (ms) and onLevel, onSpeechStart,
+   *   onSpeechEnd, onSilence callbacks
+   * @returns {MicrophoneAnalyser|null}
+   */
+  analyzeMicrophone(options = {}) {
+    try {
+      this._assertSupported(
+        'microphone',
+        typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext),
+        'Web Audio not supported in this browser'
+      );
+
+      const stream = options.stream || this.activeStreams.microphone;
+      if (!stream || stream.getAudioTracks().length === 0) {
+        throw new RequesterError(
+          RequesterError.codes.INVALID_ARGUMENT,
+          'No active microphone stream, call requestMicrophone() first',
+          { capability: 'microphone' }
+        );
+      }
+
+      const analyser = new MicrophoneAnalyser(stream, options);
+      if (options.onLevel) analyser.on('level', options.onLevel);
+      if (options.onSpeechStart) analyser.on('speechstart', options.onSpeechStart);
+      if (options.onSpeechEnd) analyser.on('speechend', options.onSpeechEnd);
+      if (options.onSilence) analyser.on('silence', options.onSilence);
+
+      this.microphoneAnalysers.add(analyser);
+      analyser.on('stop', () => this.microphoneAnalysers.delete(analyser));
+      return analyser;
+    } catch (error) {
+      this._showError(RequesterError.from(error, 'microphone', 'Microphone analysis failed'));
+      return null;
+    }
+  }
+
+  // ========== CAMERA + MICROPHONE ==========
+
+  /**
+   * Request both camera and microphone
+   * @param {Object} options - Custom callbacks, constraints, stream name and onEnded callback
+   * @returns {Promise<MediaStream|null>}
+   */
+  async requestCameraAndMicrophone(options = {}) {
+    try {
+      this._assertSupported('camera-microphone', !!navigator.mediaDevices, 'Media access not supported in this browser');
+      await this._softAsk('camera-microphone', options);
+
+      const constraints = {
+        video: options.constraints?.video || true,
+        audio: options.constraints?.audio || true
+      };
+
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      this.streams.add(options.name || 'camera-microphone', stream, { kind: 'camera-microphone', onEnded: options.onEnded });
+      // Both slots share the stream; stopCamera/stopMicrophone only stop their own tracks
+      this.activeStreams.camera = stream;
+      this.activeStreams.microphone = stream;
+      
+      if (options.onAccept) options.onAccept(stream);
+      return this._handleResponse(true, stream);
+    } catch (error) {
+      return this._fail('camera-microphone', error, options, 'Media access denied');
+    }
+  }
+
+  // ========== GEOLOCATION ==========
+
+  /**
+   * Request geolocation access
+   * A high accuracy request that times out is retried once with low accuracy
+   * unless lowAccuracyFallback is false
+   * @param {Object} options - Custom callbacks and position options
+   * @returns {Promise<GeolocationPosition|null>}
+   */
+  async requestGeolocation(options = {}) {
+    try {
+      this._assertSupported('geolocation', !!navigator.geolocation, 'Geolocation not supported');
+      await this._softAsk('geolocation', options);
+
+      const posOptions = {
+        enableHighAccuracy: options.enableHighAccuracy || false,
+        timeout: options.timeout || 5000,
+        maximumAge: options.maximumAge || 0
+      };
+
+      const getPosition = positionOptions => new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, positionOptions);
+      });
+
+      let position;
+      try {
+        position = await getPosition(posOptions);
+      } catch (error) {
+        const timedOut = error && error.code === error.TIMEOUT;
+        if (!posOptions.enableHighAccuracy || !timedOut || options.lowAccuracyFallback === false) {
+          throw error;
+        }
+        position = await getPosition({ ...posOptions, enableHighAccuracy: false });
+      }
+
+      if (options.onAccept) options.onAccept(position);
+      return this._handleResponse(true, position);
+    } catch (error) {
+      return this._fail('geolocation', error, options, 'Geolocation denied');
+    }
+  }
+
+  /**
+   * Watch geolocation continuously
+   * @param {Function} callback - Called with (position, { distance, speed, totalDistance }) on each accepted update
+   * @param {Object} options - Position options (timeout applies per update only when given), minDistance (m),
+   *   minInterval (ms), geofences, onEnter, onExit and onError callbacks
+   * @returns {GeolocationWatcher|null} Watcher with stop(), pause(), resume(), position and async iteration
+   */
+  watchGeolocation(callback, options = {}) {
+    if (!navigator.geolocation) {
+      this._showError(new RequesterError(
+        RequesterError.codes.UNSUPPORTED,
+        'Geolocation not supported',
+        { capability: 'geolocation' }
+      ));
+      return null;
+    }
+
+    const watcher = new GeolocationWatcher(options);
+
+    if (callback) {
+      watcher.on('position', ({ position, ...info }) => callback(position, info));
+    }
+    if (options.onEnter) watcher.on('enter', options.onEnter);
+    if (options.onExit) watcher.on('exit', options.onExit);
+    watcher.on('error', (error) => {
+      // A slow fix is not worth a popup, the watch keeps running
+      if (error.code !== RequesterError.codes.TIMEOUT) this._showError(error);
+      if (options.onError) options.onError(error);
+    });
+
+    return watcher;
+  }
+
+  /**
+   * Clear geolocation watch
+   * @param {GeolocationWatcher|number} watcher - Watcher (or legacy watch ID) to clear
+   */
+  clearGeolocationWatch(watcher) {
+    if (watcher instanceof GeolocationWatcher) {
+      watcher.stop();
+    } else if (navigator.geolocation && watcher) {
+      navigator.geolocation.clearWatch(watcher);
+    }
+  }
+
+  // ========== SCREEN CAPTURE ==========
+
+  /**
+   * Request screen capture
+   * @param {Object} options - Custom callbacks, display media options, stream name and onEnded callback
+   * @returns {Promise<MediaStream|null>}
+   */
+  async requestScreenCapture(options = {}) {
+    try {
+      this._assertSupported(
+        'screen',
+        !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia),
+        'Screen capture not supported in this browser'
+      );
+      await this._softAsk('screen', options);
+
+      const constraints = options.constraints || {
+        video: { mediaSource: 'screen' },
+        audio: options.includeAudio || false
+      };
+
+      const stream = await navigator.mediaDevices.getDisplayMedia(constraints);
+      // onEnded fires when the user clicks the browser's "Stop sharing" button
+      this.streams.add(options.name || 'screen', stream, { kind: 'screen', onEnded: options.onEnded });
+      this.activeStreams.screen = stream;
+      
+      if (options.onAccept) options.onAccept(stream);
+      return this._handleResponse(true, stream);
+    } catch (error) {
+      return this._fail('screen', error, options, 'Screen capture denied');
+    }
+  }
+
+  /**
+   * Stop screen capture
+   */
+  stopScreenCapture() {
+    if (this.activeStreams.screen) {
+      const stream = this.activeStreams.screen;
+      this.activeStreams.screen = null;
+      this.streams.stopTracks(stream, 'video');
+      this.streams.stopTracks(stream, 'audio');
+    }
+  }
+
+  // ========== RECORDING ==========
+
+  /**
+   * Record a stream with MediaRecorder
+   * @param {MediaStream|string|Array<MediaStream|string>} streamOrKind - A stream, a stream name / activeStreams slot
+   *   ('camera', 'microphone', 'screen'), or several of them to merge (e.g. ['screen', 'microphone'])
+   * @param {Object} options - mimeType (best supported by default), timeslice, videoBitsPerSecond,
+   *   audioBitsPerSecond, onChunk and onStop callbacks
+   * @returns {MediaRecording|null} Recording handle
+   */
+  startRecording(streamOrKind, options = {}) {
+    try {
+      this._assertSupported('recording', typeof MediaRecorder !== 'undefined', 'MediaRecorder not supported in this browser');
+
+      const sources = Array.isArray(streamOrKind) ? streamOrKind : [streamOrKind];
+      const tracks = [];
+      sources.forEach(source => {
+        const resolved = this._resolveRecordingSource(source);
+        if (!resolved) {
+          throw new RequesterError(
+            RequesterError.codes.INVALID_ARGUMENT,
+            `No active stream for ${typeof source === 'string' ? source : 'recording'}`,
+            { capability: 'recording' }
+          );
+        }
+        tracks.push(...resolved.filter(track => track.readyState === 'live' && !tracks.includes(track)));
+      });
+
+      let stream;
+      let cleanup = null;
+      if (sources.length === 1 && typeof sources[0] !== 'string' && sources[0].getTracks) {
+        stream = sources[0];
+      } else {
+        const merged = this._mergeRecordingTracks(tracks);
+        stream = merged.stream;
+        cleanup = merged.cleanup;
+      }
+
+      const hasVideo = stream.getVideoTracks().length > 0;
+      const recording = new MediaRecording(stream, {
+        ...options,
+        mimeType: options.mimeType || Requester.getSupportedMimeType(hasVideo ? 'video' : 'audio'),
+        cleanup
+      });
+
+      if (options.onChunk) recording.on('chunk', options.onChunk);
+      if (options.onStop) recording.on('stop', options.onStop);
+      return recording;
+    } catch (error) {
+      this._showError(RequesterError.from(error, 'recording', 'Failed to start recording'));
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a recording source to its tracks
+   * Slot names only contribute their own kind, so 'microphone' on a shared camera+mic stream is audio only
+   * @private
+   */
+  _resolveRecordingSource(source) {
+    if (source && typeof source.getTracks === 'function') return source.getTracks();
+
+    const stream = this.streams.get(source) || this.activeStreams[source];
+    if (!stream) return null;
+
+    const kind = { camera: 'video', microphone: 'audio' }[source];
+    return kind ? stream.getTracks().filter(track => track.kind === kind) : stream.getTracks();
+  }
+
+  /**
+   * Build one stream from several sources, mixing audio tracks (MediaRecorder only records one)
+   * @private
+   */
+  _mergeRecordingTracks(tracks) {
+    const videoTracks = tracks.filter(track => track.kind === 'video');
+    const audioTracks = tracks.filter(track => track.kind === 'audio');
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+    if (audioTracks.length <= 1 || !AudioContextClass) {
+      return { stream: new MediaStream([...videoTracks, ...audioTracks]), cleanup: null };
+    }
+
+    const context = new AudioContextClass();
+    const destination = context.createMediaStreamDestination();
+    audioTracks.forEach(track => {
+      context.createMediaStreamSource(new MediaStream([track])).connect(destination);
+    });
+
+    return {
+      stream: new MediaStream([...videoTracks, ...destination.stream.getAudioTracks()]),
+      cleanup: () => context.close()
+    };
+  }
+
+  // ========== MIDI ==========
+
+  /**
+   * Request MIDI access
+   * @param {Object} options - Custom callbacks and MIDI options
+   * @returns {Promise<MIDIAccess|null>}
+   */
+  async requestMIDI(options = {}) {
+    try {
+      const midiAccess = await this._requestMIDIAccess(options);
+      
+      if (options.onAccept) options.onAccept(midiAccess);
+      return this._handleResponse(true, midiAccess);
+    } catch (error) {
+      return this._fail('midi', error, options, 'MIDI access denied');
+    }
+  }
+
+  /**
+   * Get MIDIAccess without reporting the outcome (callers run the callbacks)
+   * @private
+   */
+  async _requestMIDIAccess(options) {
+    this._assertSupported('midi', !!navigator.requestMIDIAccess, 'Web MIDI not supported');
+    await this._softAsk('midi', options);
+
+    const midiOptions = {
+      sysex: options.sysex || false
+    };
+
+    return navigator.requestMIDIAccess(midiOptions);
+  }
+
+  /**
+   * Request MIDI access and wrap it in a MIDIController (device selection, parsed events, send helpers)
+   * @param {Object} options - requestMIDI options, input and output names or IDs and
+   *   exclusive (fail with IN_USE while another tab has claimed MIDI)
+   * @returns {Promise<MIDIController|null>}
+   */
+  async connectMIDI(options = {}) {
+    let claim = null;
+    let controller = null;
+
+    try {
+      if (options.exclusive) {
+        claim = await this._claimExclusive('midi', 'midi', 'MIDI');
+      }
+
+      const access = await this._requestMIDIAccess(options);
+      controller = new MIDIController(access, options);
+      if (claim) controller.on('close', () => claim.release());
+
+      if (options.onAccept) options.onAccept(controller);
+      return this._handleResponse(true, controller);
+    } catch (error) {
+      // Once the controller exists, closing it releases the claim
+      if (claim && !controller) claim.release();
+      return this._fail('midi', error, options, 'MIDI access denied');
+    }
+  }
+
+  // ========== CLIPBOARD ==========
+
+  /**
+   * Request clipboard read permission
+   * @param {Object} options - Custom callbacks
+   * @returns {Promise<string|null>}
+   */
+  async requestClipboardRead(options = {}) {
+    try {
+      this._assertSupported(
+        'clipboard',
+        !!(navigator.clipboard && navigator.clipboard.readText),
+        'Clipboard read not supported in this browser'
+      );
+      await this._softAsk('clipboard', options);
+
+      const text = await navigator.clipboard.readText();
+      
+      if (options.onAccept) options.onAccept(text);
+      return this._handleResponse(true, text);
+    } catch (error) {
+      return this._fail('clipboard', error, options, 'Clipboard read denied');
+    }
+  }
+
+  /**
+   * Read every representation on the clipboard (text, HTML, images...)
+   * Falls back to waiting for the user's next paste when async clipboard read is unavailable
+   * @param {Object} options - types (mime types to keep, all by default), pasteTimeout (ms) and custom callbacks
+   * @returns {Promise<Object|null>} Map of mime type to string (text/*) or Blob
+   */
+  async readClipboard(options = {}) {
+    try {
+      await this._softAsk('clipboard', options);
+
+      let data;
+      if (navigator.clipboard && navigator.clipboard.read) {
+        data = await this._readClipboardItems(options.types);
+      } else if (navigator.clipboard && navigator.clipboard.readText &&
+          (!options.types || options.types.every(type => type === 'text/plain'))) {
+        data = { 'text/plain': await navigator.clipboard.readText() };
+      } else {
+        data = await this._waitForPaste(options.types, options.pasteTimeout);
+      }
+
+      if (options.onAccept) options.onAccept(data);
+      return this._handleResponse(true, data);
+    } catch (error) {
+      return this._fail('clipboard', error, options, 'Clipboard read denied');
+    }
   }
 
   /**
-   * Configure Requester settings
-   * @param {Object} options - Configuration options
+   * Read ClipboardItems with the async clipboard API
+   * @private
    */
-  setSettings(options = {}) {
-    this.settings = { ...this.settings, ...options };
-    if (options.errorPopupStyle) {
-      this.settings.errorPopupStyle = { ...this.settings.errorPopupStyle, ...options.errorPopupStyle };
+  async _readClipboardItems(types) {
+    const items = await navigator.clipboard.read();
+    const data = {};
+
+    for (const item of items) {
+      for (const type of item.types) {
+        if (data[type] !== undefined || (types && !types.includes(type))) continue;
+        const blob = await item.getType(type);
+        data[type] = type.startsWith('text/') ? await blob.text() : blob;
+      }
     }
+    return data;
   }
 
   /**
-   * Setup Service Worker message listener
+   * Resolve with the contents of the next paste event
    * @private
    */
-  _setupServiceWorkerMessageListener() {
-    if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.addEventListener('message', (event) => {
-        const { type, tag, action } = event.data;
-        const callbacks = this.notificationCallbacks.get(tag);
+  _waitForPaste(types, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        document.removeEventListener('paste', onPaste);
+        reject(new RequesterError(RequesterError.codes.TIMEOUT, 'No paste received', { capability: 'clipboard' }));
+      }, timeout);
 
-        if (!callbacks) return;
+      const onPaste = (event) => {
+        clearTimeout(timer);
+        document.removeEventListener('paste', onPaste);
 
-        switch (type) {
-          case 'NOTIFICATION_ACTION_CLICKED':
-            const button = callbacks.buttons?.find(btn => btn.action === action);
-            if (button && button.onClick) {
-              button.onClick();
-            }
-            break;
-          case 'NOTIFICATION_CLICKED':
-            if (callbacks.onClick) {
-              callbacks.onClick();
-            }
-            break;
-          case 'NOTIFICATION_CLOSED':
-            if (callbacks.onClose) {
-              callbacks.onClose();
-            }
-            this.notificationCallbacks.delete(tag);
-            break;
+        const clipboardData = event.clipboardData;
+        const data = {};
+        Array.from(clipboardData.types).forEach(type => {
+          if (type !== 'Files' && (!types || types.includes(type))) {
+            data[type] = clipboardData.getData(type);
+          }
+        });
+        Array.from(clipboardData.items || []).forEach(item => {
+          if (item.kind === 'file' && data[item.type] === undefined && (!types || types.includes(item.type))) {
+            data[item.type] = item.getAsFile();
+          }
+        });
+        resolve(data);
+      };
+
+      document.addEventListener('paste', onPaste);
+    });
+  }
+
+  /**
+   * Write to clipboard
+   * @param {string|Object} data - Text, or a map of mime type to string/Blob
+   *   (e.g. { 'text/html': html, 'text/plain': text, 'image/png': blob })
+   * @returns {Promise<boolean>}
+   */
+  async writeClipboard(data) {
+    const representations = typeof data === 'string' ? { 'text/plain': data } : data;
+
+    try {
+      if (navigator.clipboard) {
+        if (typeof data === 'string' && navigator.clipboard.writeText) {
+          await navigator.clipboard.writeText(data);
+          return true;
         }
-      });
+        if (navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
+          const blobs = {};
+          Object.entries(representations).forEach(([type, value]) => {
+            blobs[type] = value instanceof Blob ? value : new Blob([value], { type });
+          });
+          await navigator.clipboard.write([new ClipboardItem(blobs)]);
+          return true;
+        }
+      }
+
+      // Insecure context or old browser
+      if (this._legacyCopy(representations)) return true;
+      throw new RequesterError(RequesterError.codes.UNSUPPORTED, 'Clipboard write not supported', { capability: 'clipboard' });
+    } catch (error) {
+      this._showError(RequesterError.from(error, 'clipboard', 'Clipboard write failed'));
+      return false;
     }
   }
 
   /**
-   * Register Service Worker for advanced notification features
-   * @returns {Promise<ServiceWorkerRegistration>}
+   * Copy text representations with execCommand('copy') (binary data can't be copied this way)
+   * @private
    */
-  async registerServiceWorker() {
-    if (!('serviceWorker' in navigator)) {
-      throw new Error('Service Workers are not supported in this browser');
+  _legacyCopy(representations) {
+    const textEntries = Object.entries(representations).filter(([, value]) => typeof value === 'string');
+    if (textEntries.length === 0 || typeof document.execCommand !== 'function') return false;
+
+    const onCopy = (event) => {
+      textEntries.forEach(([type, value]) => event.clipboardData.setData(type, value));
+      event.preventDefault();
+    };
+
+    // Some browsers only fire copy with a selection
+    const textarea = document.createElement('textarea');
+    textarea.value = representations['text/plain'] || textEntries[0][1];
+    textarea.setAttribute('readonly', '');
+    Object.assign(textarea.style, { position: 'fixed', top: '-1000px', opacity: '0' });
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    document.addEventListener('copy', onCopy);
+    try {
+      return document.execCommand('copy');
+    } finally {
+      document.removeEventListener('copy', onCopy);
+      textarea.remove();
     }
+  }
+
+  // ========== FULLSCREEN ==========
 
+  /**
+   * Request fullscreen mode
+   * @param {HTMLElement} element - Element to fullscreen (defaults to document.documentElement)
+   * @param {Object} options - Custom callbacks and lockOrientation ('landscape', 'portrait', ...),
+   *   released again when fullscreen ends
+   * @returns {Promise<boolean>}
+   */
+  async requestFullscreen(element = document.documentElement, options = {}) {
     try {
-      this.serviceWorkerRegistration = await navigator.serviceWorker.register(
-        this.settings.serviceWorkerPath
-      );
-      
-      // Wait for service worker to be ready
-      await navigator.serviceWorker.ready;
-      
-      this.settings.useServiceWorker = true;
-      console.log('Requester.js: Service Worker registered successfully');
+      await this._softAsk('fullscreen', options);
+
+      if (element.requestFullscreen) {
+        await element.requestFullscreen();
+      } else if (element.webkitRequestFullscreen) {
+        await element.webkitRequestFullscreen();
+      } else if (element.msRequestFullscreen) {
+        await element.msRequestFullscreen();
+      } else {
+        throw new RequesterError(RequesterError.codes.UNSUPPORTED, 'Fullscreen not supported', { capability: 'fullscreen' });
+      }
+
+      if (options.lockOrientation) {
+        await this._lockOrientation(options.lockOrientation);
+      }
       
-      return this.serviceWorkerRegistration;
+      if (options.onAccept) options.onAccept();
+      return this._handleResponse(true, true);
     } catch (error) {
-      console.error('Requester.js: Service Worker registration failed:', error);
-      throw error;
+      return this._fail('fullscreen', error, options, 'Fullscreen request failed', false);
     }
   }
 
   /**
-   * Show error popup
-   * @private
+   * Exit fullscreen mode
+   * @returns {Promise<void>}
    */
-  _showError(message) {
-    if (!this.settings.showErrorPopup) return;
-    
-    const popup = document.createElement('div');
-    Object.assign(popup.style, this.settings.errorPopupStyle);
-    popup.textContent = message;
-    
-    document.body.appendChild(popup);
-    
-    setTimeout(() => {
-      popup.style.transition = 'opacity 0.3s';
-      popup.style.opacity = '0';
-      setTimeout(() => popup.remove(), 300);
-    }, this.settings.errorPopupDuration);
+  async exitFullscreen() {
+    this._unlockOrientation();
+    if (!this.isFullscreen()) return;
+
+    try {
+      if (document.exitFullscreen) {
+        await document.exitFullscreen();
+      } else if (document.webkitExitFullscreen) {
+        await document.webkitExitFullscreen();
+      } else if (document.msExitFullscreen) {
+        await document.msExitFullscreen();
+      }
+    } catch (error) {
+      this._showError(RequesterError.from(error, 'fullscreen', 'Exit fullscreen failed'));
+    }
   }
 
   /**
-   * Handle response with callbacks
+   * Check if the page is in fullscreen mode
+   * @returns {boolean}
+   */
+  isFullscreen() {
+    return !!this.getFullscreenElement();
+  }
+
+  /**
+   * Get the element currently in fullscreen
+   * @returns {Element|null}
+   */
+  getFullscreenElement() {
+    return document.fullscreenElement ||
+      document.webkitFullscreenElement ||
+      document.msFullscreenElement ||
+      null;
+  }
+
+  /**
+   * Enter fullscreen, or exit it if already fullscreen
+   * @param {HTMLElement} element - Element to fullscreen
+   * @param {Object} options - Same as requestFullscreen
+   * @returns {Promise<boolean>} Whether the page is now fullscreen
+   */
+  async toggleFullscreen(element = document.documentElement, options = {}) {
+    if (this.isFullscreen()) {
+      await this.exitFullscreen();
+      return false;
+    }
+    return !!(await this.requestFullscreen(element, options));
+  }
+
+  /**
+   * Subscribe to fullscreen changes (including the user pressing Esc)
+   * @param {Function} callback - Called with (isFullscreen, element)
+   * @returns {Function} Unsubscribe function
+   */
+  onFullscreenChange(callback) {
+    const events = ['fullscreenchange', 'webkitfullscreenchange', 'MSFullscreenChange'];
+    const handler = () => callback(this.isFullscreen(), this.getFullscreenElement());
+
+    events.forEach(event => document.addEventListener(event, handler));
+    return () => events.forEach(event => document.removeEventListener(event, handler));
+  }
+
+  /**
+   * Lock the screen orientation until fullscreen ends
    * @private
    */
-  _handleResponse(success, result, error = null) {
-    if (success && this.settings.onAccept) {
-      this.settings.onAccept(result);
-    } else if (!success && this.settings.onDecline) {
-      this.settings.onDecline(error);
+  async _lockOrientation(orientation) {
+    if (typeof screen === 'undefined' || !screen.orientation || !screen.orientation.lock) {
+      console.warn('Requester.js: Screen orientation lock not supported');
+      return;
     }
-    
-    if (error && this.settings.onError) {
-      this.settings.onError(error);
+
+    try {
+      await screen.orientation.lock(orientation);
+    } catch (error) {
+      // Desktop browsers reject locks, fullscreen itself still succeeded
+      console.warn('Requester.js: Screen orientation lock failed:', error);
+      return;
     }
-    
-    return success ? result : null;
+
+    this._unlockOrientation();
+    this._orientationUnsubscribe = this.onFullscreenChange((fullscreen) => {
+      if (!fullscreen) this._unlockOrientation();
+    });
   }
 
-  // ========== NOTIFICATIONS ==========
+  /**
+   * Release an orientation lock taken by requestFullscreen
+   * @private
+   */
+  _unlockOrientation() {
+    if (!this._orientationUnsubscribe) return;
+
+    this._orientationUnsubscribe();
+    this._orientationUnsubscribe = null;
+    if (screen.orientation && screen.orientation.unlock) {
+      screen.orientation.unlock();
+    }
+  }
+
+  // ========== DEVICE ORIENTATION ==========
 
   /**
-   * Request notification permission
+   * Request device orientation and motion permission (iOS 13+)
    * @param {Object} options - Custom callbacks
-   * @returns {Promise<string>} Permission status
+   * @returns {Promise<string|null>}
    */
-  async requestNotifications(options = {}) {
+  async requestDeviceOrientation(options = {}) {
     try {
-      if (!('Notification' in window)) {
-        const error = 'Notifications not supported in this browser';
-        this._showError(error);
-        if (options.onDecline) options.onDecline(error);
-        return this._handleResponse(false, null, error);
+      if (this._motionPermissionGates().length > 0) {
+        await this._softAsk('orientation', options);
       }
 
-      const permission = await Notification.requestPermission();
-      
-      if (permission === 'granted') {
-        if (options.onAccept) options.onAccept(permission);
-        return this._handleResponse(true, permission);
+      // Permission not required on other devices
+      if (await this._requestMotionPermission()) {
+        if (options.onAccept) options.onAccept('granted');
+        return this._handleResponse(true, 'granted');
       } else {
-        const error = 'Notification permission denied';
-        this._showError(error);
-        if (options.onDecline) options.onDecline(error);
-        return this._handleResponse(false, null, error);
+        throw new RequesterError(
+          RequesterError.codes.PERMISSION_DENIED,
+          'Device orientation permission denied',
+          { capability: 'orientation' }
+        );
       }
     } catch (error) {
-      this._showError(`Notification error: ${error.message}`);
-      if (options.onError) options.onError(error);
-      return this._handleResponse(false, null, error);
+      return this._fail('orientation', error, options, 'Device orientation error');
     }
   }
 
   /**
-   * Send a notification
-   * @param {string} title - Notification title
-   * @param {string} text - Notification body
-   * @param {string} attachment - Icon URL (optional)
-   * @param {Object} options - Notification options (buttons, onClick, onClose, etc.)
-   * @returns {Notification|Promise<void>|null}
+   * Event classes that gate sensor events behind a permission prompt (iOS 13+)
+   * @private
    */
-  async sendNotification(title, text, attachment = null, options = {}) {
-    if (Notification.permission !== 'granted') {
-      this._showError('Notification permission not granted');
-      return null;
-    }
+  _motionPermissionGates() {
+    return [
+      typeof DeviceOrientationEvent !== 'undefined' && DeviceOrientationEvent,
+      typeof DeviceMotionEvent !== 'undefined' && DeviceMotionEvent
+    ].filter(gate => gate && typeof gate.requestPermission === 'function');
+  }
 
-    // Check if buttons are requested
-    const hasButtons = options.buttons && options.buttons.length > 0;
+  /**
+   * Ask for orientation and motion permission where the browser gates it
+   * @returns {Promise<boolean>} Whether sensor events will be delivered
+   * @private
+   */
+  async _requestMotionPermission() {
+    const gates = this._motionPermissionGates();
+    // Ask for both in the same tick so they share the user gesture
+    const permissions = await Promise.all(gates.map(gate => gate.requestPermission()));
+    return permissions.every(permission => permission === 'granted');
+  }
 
-    // If buttons are requested but SW not registered, try to use SW anyway or warn
-    if (hasButtons && !this.settings.useServiceWorker) {
-      console.warn('Requester.js: Buttons requested but Service Worker not registered. Sending notification without buttons. Call registerServiceWorker() first for button support.');
-      // Remove buttons from options to prevent error
-      const optionsWithoutButtons = { ...options };
-      delete optionsWithoutButtons.buttons;
-      return this._sendBasicNotification(title, text, attachment, optionsWithoutButtons);
-    }
+  /**
+   * Stream device orientation readings
+   * @param {Function} callback - Called with { alpha, beta, gamma, absolute, heading }
+   * @param {Object} options - throttle (ms), smoothing (0-1 low-pass strength) and absolute
+   *   (prefer compass-referenced readings)
+   * @returns {Function} Unsubscribe function
+   */
+  watchOrientation(callback, options = {}) {
+    const filter = this._createSensorFilter(options);
+    const eventName = options.absolute && typeof window !== 'undefined' && 'ondeviceorientationabsolute' in window
+      ? 'deviceorientationabsolute'
+      : 'deviceorientation';
 
-    // Use Service Worker for notifications with buttons
-    if (this.settings.useServiceWorker && this.serviceWorkerRegistration && hasButtons) {
-      return this._sendServiceWorkerNotification(title, text, attachment, options);
-    }
+    const handler = (event) => {
+      let heading = null;
+      if (typeof event.webkitCompassHeading === 'number') {
+        heading = event.webkitCompassHeading;
+      } else if (event.absolute && typeof event.alpha === 'number') {
+        heading = (360 - event.alpha) % 360;
+      }
 
-    // Use basic Notification API
-    return this._sendBasicNotification(title, text, attachment, options);
+      const reading = filter({
+        alpha: event.alpha,
+        beta: event.beta,
+        gamma: event.gamma,
+        heading
+      }, ['alpha', 'heading']);
+      if (reading) callback({ ...reading, absolute: !!event.absolute || heading !== null });
+    };
+
+    window.addEventListener(eventName, handler);
+    return () => window.removeEventListener(eventName, handler);
   }
 
   /**
-   * Send notification using Service Worker (supports buttons)
-   * @private
+   * Stream device motion readings
+   * @param {Function} callback - Called with { acceleration, accelerationIncludingGravity, rotationRate, interval }
+   * @param {Object} options - throttle (ms) and smoothing (0-1 low-pass strength)
+   * @returns {Function} Unsubscribe function
    */
-  async _sendServiceWorkerNotification(title, text, attachment, options) {
-    try {
-      const tag = options.tag || `notification-${Date.now()}`;
-      
-      const notifOptions = {
-        body: text,
-        icon: attachment,
-        tag: tag,
-        badge: options.badge,
-        image: options.image,
-        data: options.data,
-        requireInteraction: options.requireInteraction,
-        silent: options.silent,
-        vibrate: options.vibrate
-      };
+  watchMotion(callback, options = {}) {
+    const filter = this._createSensorFilter(options);
+    const vector = (value, keys) => (value ? keys.reduce((result, key) => {
+      result[key] = value[key];
+      return result;
+    }, {}) : null);
 
-      // Add action buttons
-      if (options.buttons && options.buttons.length > 0) {
-        notifOptions.actions = options.buttons.map((btn, idx) => ({
-          action: btn.action || `action-${idx}`,
-          title: btn.label || btn.title || `Button ${idx + 1}`,
-          icon: btn.icon
-        }));
+    const handler = (event) => {
+      const acceleration = vector(event.acceleration, ['x', 'y', 'z']);
+      const withGravity = vector(event.accelerationIncludingGravity, ['x', 'y', 'z']);
+      const rotationRate = vector(event.rotationRate, ['alpha', 'beta', 'gamma']);
 
-        // Store callbacks with action references
-        const callbackData = {
-          buttons: options.buttons.map((btn, idx) => ({
-            action: btn.action || `action-${idx}`,
-            onClick: btn.onClick
-          })),
-          onClick: options.onClick,
-          onClose: options.onClose
-        };
+      const reading = filter({
+        ax: acceleration && acceleration.x,
+        ay: acceleration && acceleration.y,
+        az: acceleration && acceleration.z,
+        gx: withGravity && withGravity.x,
+        gy: withGravity && withGravity.y,
+        gz: withGravity && withGravity.z,
+        ra: rotationRate && rotationRate.alpha,
+        rb: rotationRate && rotationRate.beta,
+        rg: rotationRate && rotationRate.gamma
+      });
+      if (!reading) return;
+
+      callback({
+        acceleration: acceleration && { x: reading.ax, y: reading.ay, z: reading.az },
+        accelerationIncludingGravity: withGravity && { x: reading.gx, y: reading.gy, z: reading.gz },
+        rotationRate: rotationRate && { alpha: reading.ra, beta: reading.rb, gamma: reading.rg },
+        interval: event.interval
+      });
+    };
+
+    window.addEventListener('devicemotion', handler);
+    return () => window.removeEventListener('devicemotion', handler);
+  }
+
+  /**
+   * Stream a calibrated tilt: x (left/right) and y (forward/back) from -1 to 1
+   * The first reading (or the one at calibrate()) is taken as neutral
+   * @param {Function} callback - Called with { x, y, beta, gamma }
+   * @param {Object} options - maxAngle (degrees for full tilt, default 45), throttle, smoothing
+   * @returns {Function} Unsubscribe function, with a calibrate() method to reset the neutral position
+   */
+  watchTilt(callback, options = {}) {
+    const maxAngle = options.maxAngle || 45;
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    let neutral = null;
+    let latest = null;
+
+    const unsubscribe = this.watchOrientation((reading) => {
+      if (reading.beta === null || reading.gamma === null) return;
+      latest = reading;
+      if (!neutral) neutral = { beta: reading.beta, gamma: reading.gamma };
+
+      callback({
+        x: clamp((reading.gamma - neutral.gamma) / maxAngle),
+        y: clamp((reading.beta - neutral.beta) / maxAngle),
+        beta: reading.beta,
+        gamma: reading.gamma
+      });
+    }, { throttle: options.throttle, smoothing: options.smoothing });
+
+    unsubscribe.calibrate = () => {
+      neutral = latest ? { beta: latest.beta, gamma: latest.gamma } : null;
+    };
+    return unsubscribe;
+  }
+
+  /**
+   * Detect shake gestures
+   * @param {Function} callback - Called with { magnitude } on each shake
+   * @param {Object} options - threshold (m/s² change between readings, default 15), timeout (ms between shakes, default 1000)
+   * @returns {Function} Unsubscribe function
+   */
+  onShake(callback, options = {}) {
+    const threshold = options.threshold || 15;
+    const timeout = options.timeout || 1000;
+    let last = null;
+    let lastShakeAt = 0;
+
+    const handler = (event) => {
+      const current = event.accelerationIncludingGravity;
+      if (!current || current.x === null) return;
+
+      if (last) {
+        const magnitude = Math.sqrt(
+          (current.x - last.x) ** 2 + (current.y - last.y) ** 2 + (current.z - last.z) ** 2
+        );
+        const now = Date.now();
+        if (magnitude > threshold && now - lastShakeAt > timeout) {
+          lastShakeAt = now;
+          callback({ magnitude });
+        }
+      }
+      last = { x: current.x, y: current.y, z: current.z };
+    };
+
+    window.addEventListener('devicemotion', handler);
+    return () => window.removeEventListener('devicemotion', handler);
+  }
 
-        this.notificationCallbacks.set(tag, callbackData);
+  /**
+   * Build a throttle + low-pass filter for sensor readings
+   * Returns the smoothed reading, or null when the reading is throttled
+   * @private
+   */
+  _createSensorFilter(options = {}) {
+    const throttle = options.throttle || 0;
+    const factor = 1 - Math.max(0, Math.min(0.99, options.smoothing || 0));
+    let smoothed = null;
+    let lastEmit = 0;
 
-        // Send callbacks info to service worker
-        this.serviceWorkerRegistration.active.postMessage({
-          type: 'STORE_NOTIFICATION_CALLBACKS',
-          tag: tag,
-          callbacks: callbackData
+    return (values, angularKeys = []) => {
+      if (!smoothed) {
+        smoothed = { ...values };
+      } else {
+        Object.keys(values).forEach(key => {
+          const value = values[key];
+          const previous = smoothed[key];
+          if (typeof value !== 'number' || typeof previous !== 'number') {
+            smoothed[key] = value;
+          } else if (angularKeys.includes(key)) {
+            // Take the short way round 0/360
+            const delta = ((value - previous + 540) % 360) - 180;
+            smoothed[key] = (previous + factor * delta + 360) % 360;
+          } else {
+            smoothed[key] = previous + factor * (value - previous);
+          }
         });
       }
 
-      // Show notification via service worker
-      await this.serviceWorkerRegistration.showNotification(title, notifOptions);
-      
-      return { tag, registration: this.serviceWorkerRegistration };
-    } catch (error) {
-      this._showError(`Failed to create notification: ${error.message}`);
-      if (options.onError) {
-        options.onError(error);
-      }
-      return null;
-    }
+      const now = Date.now();
+      if (throttle && now - lastEmit < throttle) return null;
+      lastEmit = now;
+      return { ...smoothed };
+    };
   }
 
+  // ========== GENERIC SENSORS ==========
+
   /**
-   * Send basic notification (no buttons)
-   * @private
+   * Start a Generic Sensor API sensor, falling back to deviceorientation/devicemotion where the class is missing
+   * @param {string} type - 'accelerometer', 'linear-acceleration', 'gravity', 'gyroscope', 'magnetometer',
+   *   'absolute-orientation', 'relative-orientation' or 'ambient-light'
+   * @param {Object} options - frequency (Hz, default 60), referenceFrame, activationTimeout (ms, default 10000),
+   *   onReading and custom callbacks
+   * @returns {Promise<SensorStream|null>}
    */
-  _sendBasicNotification(title, text, attachment, options) {
-    // List of properties that are NOT part of the Notification constructor
-    const nonNotificationProps = ['buttons', 'onClick', 'onClose', 'onError'];
+  async requestSensor(type, options = {}) {
+    try {
+      const spec = Requester.sensorTypes[type];
+      if (!spec) {
+        throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `Unknown sensor type: ${type}`, { capability: 'sensor' });
+      }
 
-    // Only include supported properties for basic Notification API
-    const notifOptions = {
-      body: text,
-      icon: attachment
-    };
+      const SensorClass = typeof window !== 'undefined' ? window[spec.className] : undefined;
+      this._assertSupported('sensor', !!(SensorClass || spec.fallback), `${spec.className} not supported in this browser`);
+      await this._softAsk('sensor', options);
 
-    // Add optional supported properties if provided (excluding callbacks and buttons)
-    for (const key in options) {
-      if (options.hasOwnProperty(key) && !nonNotificationProps.includes(key)) {
-        notifOptions[key] = options[key];
+      const states = await Promise.all(spec.permissions.map(name => this.checkPermission(name)));
+      if (states.includes('denied')) {
+        throw new RequesterError(RequesterError.codes.PERMISSION_DENIED, `${spec.className} permission denied`, { capability: 'sensor' });
+      }
+
+      const stream = new SensorStream(type);
+      if (options.onReading) stream.on('reading', options.onReading);
+
+      if (SensorClass) {
+        await this._startGenericSensor(stream, SensorClass, spec, options);
+      } else {
+        await this._startFallbackSensor(stream, spec, options);
       }
+
+      if (options.onAccept) options.onAccept(stream);
+      return this._handleResponse(true, stream);
+    } catch (error) {
+      return this._fail('sensor', error, options, 'Sensor access denied');
     }
+  }
 
-    // Explicitly remove actions if it somehow got through
-    delete notifOptions.actions;
-    delete notifOptions.buttons;
+  /**
+   * Start a Generic Sensor API instance and wait until it activates
+   * @private
+   */
+  _startGenericSensor(stream, SensorClass, spec, options) {
+    const sensorOptions = { frequency: options.frequency || 60 };
+    if (options.referenceFrame) sensorOptions.referenceFrame = options.referenceFrame;
 
-    try {
-      const notification = new Notification(title, notifOptions);
+    const sensor = new SensorClass(sensorOptions);
+    const readers = {
+      xyz: () => ({ x: sensor.x, y: sensor.y, z: sensor.z }),
+      quaternion: () => ({ quaternion: Array.from(sensor.quaternion || []) }),
+      illuminance: () => ({ illuminance: sensor.illuminance })
+    };
+    stream.source = 'generic';
 
-      // Handle notification click
-      notification.onclick = (e) => {
-        if (options.onClick) {
-          options.onClick(e);
-        }
-        notification.close();
+    return new Promise((resolve, reject) => {
+      let activated = false;
+      let timer = null;
+      const failActivation = (error) => {
+        clearTimeout(timer);
+        stream._stop();
+        stream._stop = null;
+        reject(error);
       };
-
-      notification.onclose = (e) => {
-        if (options.onClose) {
-          options.onClose(e);
+      const onActivate = () => {
+        activated = true;
+        clearTimeout(timer);
+        resolve();
+      };
+      const onReading = () => stream._push(readers[spec.reading](), sensor.timestamp);
+      const onError = (event) => {
+        if (!activated) {
+          failActivation(event.error);
+          return;
         }
+        stream._emit('error', RequesterError.from(event.error, 'sensor', 'Sensor error'));
       };
 
-      notification.onerror = (e) => {
-        if (options.onError) {
-          options.onError(e);
-        }
+      sensor.addEventListener('activate', onActivate);
+      sensor.addEventListener('reading', onReading);
+      sensor.addEventListener('error', onError);
+      stream._stop = () => {
+        sensor.removeEventListener('activate', onActivate);
+        sensor.removeEventListener('reading', onReading);
+        sensor.removeEventListener('error', onError);
+        sensor.stop();
       };
 
-      return notification;
-    } catch (error) {
-      this._showError(`Failed to create notification: ${error.message}`);
-      if (options.onError) {
-        options.onError(error);
-      }
-      return null;
+      // Some browsers never fire 'activate' or 'error' when the hardware is missing
+      timer = setTimeout(() => {
+        failActivation(new RequesterError(
+          RequesterError.codes.TIMEOUT,
+          `${spec.className} did not activate`,
+          { capability: 'sensor' }
+        ));
+      }, options.activationTimeout || 10000);
+      sensor.start();
+    });
+  }
+
+  /**
+   * Feed a sensor stream from deviceorientation/devicemotion events
+   * @private
+   */
+  async _startFallbackSensor(stream, spec, options) {
+    if (!(await this._requestMotionPermission())) {
+      throw new RequesterError(RequesterError.codes.PERMISSION_DENIED, 'Motion sensor permission denied', { capability: 'sensor' });
+    }
+
+    const filterOptions = { throttle: 1000 / (options.frequency || 60) };
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const hasValues = values => values && Object.values(values).every(value => typeof value === 'number');
+    stream.source = 'fallback';
+
+    switch (spec.fallback) {
+      case 'gravity-acceleration':
+      case 'acceleration':
+        stream._stop = this.watchMotion((reading) => {
+          const values = spec.fallback === 'acceleration' ? reading.acceleration : reading.accelerationIncludingGravity;
+          if (hasValues(values)) stream._push(values);
+        }, filterOptions);
+        break;
+      case 'rotation':
+        // devicemotion reports deg/s around z (alpha), x (beta), y (gamma); Gyroscope reports rad/s
+        stream._stop = this.watchMotion(({ rotationRate }) => {
+          if (!hasValues(rotationRate)) return;
+          stream._push({
+            x: toRadians(rotationRate.beta),
+            y: toRadians(rotationRate.gamma),
+            z: toRadians(rotationRate.alpha)
+          });
+        }, filterOptions);
+        break;
+      case 'orientation':
+      case 'absolute-orientation':
+        stream._stop = this.watchOrientation(({ alpha, beta, gamma }) => {
+          if (!hasValues({ alpha, beta, gamma })) return;
+          stream._push({ quaternion: Requester.eulerToQuaternion(alpha, beta, gamma) });
+        }, { ...filterOptions, absolute: spec.fallback === 'absolute-orientation' });
+        break;
     }
   }
 
-  // ========== CAMERA ==========
+  // ========== MAILTO ==========
 
   /**
-   * Request camera access
-   * @param {Object} options - Custom callbacks and constraints
-   * @returns {Promise<MediaStream|null>}
+   * Open mailto link with custom parameters
+   * @param {Object} params - Email parameters: to, cc, bcc (string or array), subject, body,
+   *   returnUrl (return the URL instead of opening it)
+   * @returns {boolean|string}
    */
-  async requestCamera(options = {}) {
-    try {
-      const constraints = {
-        video: options.constraints?.video || true,
-        audio: false
-      };
+  openMailto(params = {}) {
+    return this._composeLink(() => RequesterLinks.mailto(params), params, 'Mailto error');
+  }
 
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.activeStreams.camera = stream;
-      
-      if (options.onAccept) options.onAccept(stream);
-      return this._handleResponse(true, stream);
-    } catch (error) {
-      this._showError(`Camera access denied: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
-    }
+  // ========== LINK COMPOSERS ==========
+
+  /**
+   * Open the dialer with a phone number
+   * @param {string} number - Phone number, formatting is stripped
+   * @param {Object} options - returnUrl
+   * @returns {boolean|string}
+   */
+  openTel(number, options = {}) {
+    return this._composeLink(() => RequesterLinks.tel(number), options, 'Tel error');
   }
 
   /**
-   * Get camera feed (alias for requestCamera)
-   * @param {Object} options - Custom callbacks and constraints
-   * @returns {Promise<MediaStream|null>}
+   * Open the SMS composer
+   * @param {Object} params - to (string or array), body, platform (detected by default), returnUrl
+   * @returns {boolean|string}
    */
-  getCameraFeed(options = {}) {
-    return this.requestCamera(options);
+  openSms(params = {}) {
+    return this._composeLink(() => RequesterLinks.sms(params), params, 'SMS error');
   }
 
   /**
-   * Stop camera stream
+   * Open a WhatsApp share link
+   * @param {Object} params - text, phone, returnUrl, target (default '_blank')
+   * @returns {boolean|string}
    */
-  stopCamera() {
-    if (this.activeStreams.camera) {
-      this.activeStreams.camera.getTracks().forEach(track => track.stop());
-      this.activeStreams.camera = null;
-    }
+  shareWhatsApp(params = {}) {
+    return this._composeLink(() => RequesterLinks.whatsapp(params), { target: '_blank', ...params }, 'WhatsApp error');
   }
 
-  // ========== MICROPHONE ==========
+  /**
+   * Open a Telegram share link
+   * @param {Object} params - url, text, returnUrl, target (default '_blank')
+   * @returns {boolean|string}
+   */
+  shareTelegram(params = {}) {
+    return this._composeLink(() => RequesterLinks.telegram(params), { target: '_blank', ...params }, 'Telegram error');
+  }
 
   /**
-   * Request microphone access
-   * @param {Object} options - Custom callbacks and constraints
-   * @returns {Promise<MediaStream|null>}
+   * Download a single event as an .ics file
+   * @param {Object} event - title, start, end, allDay, description, location, url, uid
+   * @param {Object} options - filename (default 'event.ics'), returnUrl (data: URL instead of downloading)
+   * @returns {boolean|string}
    */
-  async requestMicrophone(options = {}) {
+  downloadCalendarEvent(event = {}, options = {}) {
+    return this._composeLink(() => {
+      const ics = RequesterLinks.ics(event);
+      if (options.returnUrl) {
+        return `data:text/calendar;charset=utf-8,${encodeURIComponent(ics)}`;
+      }
+      return URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    }, { download: options.filename || 'event.ics', revoke: true, ...options }, 'Calendar error');
+  }
+
+  /**
+   * Build a URL and either return it or open it, reporting build errors like the original openMailto
+   * @private
+   */
+  _composeLink(build, options, prefix) {
     try {
-      const constraints = {
-        audio: options.constraints?.audio || true,
-        video: false
-      };
+      const url = build();
+      if (options.returnUrl) return url;
 
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.activeStreams.microphone = stream;
-      
-      if (options.onAccept) options.onAccept(stream);
-      return this._handleResponse(true, stream);
+      this._openLink(url, options);
+      return true;
     } catch (error) {
-      this._showError(`Microphone access denied: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
+      this._showError(`${prefix}: ${error.message}`);
+      if (options.onError) options.onError(RequesterError.from(error, null, prefix));
+      return false;
     }
   }
 
   /**
-   * Get microphone stream (alias)
-   * @param {Object} options - Custom callbacks and constraints
-   * @returns {Promise<MediaStream|null>}
+   * Follow a URL through a hidden anchor so the current page (and SPA state) stays put
+   * @private
    */
-  getMicrophoneFeed(options = {}) {
-    return this.requestMicrophone(options);
-  }
+  _openLink(url, options = {}) {
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.style.display = 'none';
+    if (options.target) {
+      anchor.target = options.target;
+      anchor.rel = 'noopener noreferrer';
+    }
+    if (options.download) anchor.download = options.download;
 
-  /**
-   * Stop microphone stream
-   */
-  stopMicrophone() {
-    if (this.activeStreams.microphone) {
-      this.activeStreams.microphone.getTracks().forEach(track => track.stop());
-      this.activeStreams.microphone = null;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+
+    if (options.revoke) {
+      // Give the download a moment to start before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
   }
 
-  // ========== CAMERA + MICROPHONE ==========
+  // ========== BLUETOOTH ==========
 
   /**
-   * Request both camera and microphone
-   * @param {Object} options - Custom callbacks and constraints
-   * @returns {Promise<MediaStream|null>}
+   * Request Bluetooth device access
+   * @param {Object} options - Custom callbacks and filter options
+   * @returns {Promise<BluetoothDevice|null>}
    */
-  async requestCameraAndMicrophone(options = {}) {
+  async requestBluetooth(options = {}) {
     try {
-      const constraints = {
-        video: options.constraints?.video || true,
-        audio: options.constraints?.audio || true
-      };
-
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.activeStreams.camera = stream;
-      this.activeStreams.microphone = stream;
+      const device = await this._requestBluetoothDevice(options);
       
-      if (options.onAccept) options.onAccept(stream);
-      return this._handleResponse(true, stream);
+      if (options.onAccept) options.onAccept(device);
+      return this._handleResponse(true, device);
     } catch (error) {
-      this._showError(`Media access denied: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
+      return this._fail('bluetooth', error, options, 'Bluetooth access denied');
     }
   }
 
-  // ========== GEOLOCATION ==========
-
   /**
-   * Request geolocation access
-   * @param {Object} options - Custom callbacks and position options
-   * @returns {Promise<GeolocationPosition|null>}
+   * Open the device chooser without reporting the outcome (callers run the callbacks)
+   * @private
    */
-  async requestGeolocation(options = {}) {
-    return new Promise((resolve) => {
-      if (!navigator.geolocation) {
-        const error = 'Geolocation not supported';
-        this._showError(error);
-        if (options.onDecline) options.onDecline(error);
-        resolve(this._handleResponse(false, null, error));
-        return;
-      }
+  async _requestBluetoothDevice(options) {
+    // Check if bluetooth is available (requires HTTPS)
+    if (window.location.protocol !== 'https:' && window.location.hostname !== 'localhost') {
+      throw new RequesterError(
+        RequesterError.codes.INSECURE_CONTEXT,
+        'Web Bluetooth requires HTTPS',
+        { capability: 'bluetooth' }
+      );
+    }
 
-      const posOptions = {
-        enableHighAccuracy: options.enableHighAccuracy || false,
-        timeout: options.timeout || 5000,
-        maximumAge: options.maximumAge || 0
-      };
+    this._assertSupported('bluetooth', !!navigator.bluetooth, 'Web Bluetooth not supported in this browser');
+    await this._softAsk('bluetooth', options);
 
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          if (options.onAccept) options.onAccept(position);
-          resolve(this._handleResponse(true, position));
-        },
-        (error) => {
-          this._showError(`Geolocation denied: ${error.message}`);
-          if (options.onDecline) options.onDecline(error);
-          resolve(this._handleResponse(false, null, error));
-        },
-        posOptions
-      );
-    });
-  }
+    const requestOptions = {};
 
-  /**
-   * Watch geolocation continuously
-   * @param {Function} callback - Called on each position update
-   * @param {Object} options - Position options
-   * @returns {number} Watch ID
-   */
-  watchGeolocation(callback, options = {}) {
-    if (!navigator.geolocation) {
-      this._showError('Geolocation not supported');
-      return null;
+    // If no filters provided, accept all devices
+    if (!options.filters || options.filters.length === 0) {
+      requestOptions.acceptAllDevices = true;
+    } else {
+      requestOptions.filters = options.filters;
     }
 
-    const posOptions = {
-      enableHighAccuracy: options.enableHighAccuracy || false,
-      timeout: options.timeout || 5000,
-      maximumAge: options.maximumAge || 0
-    };
+    // Add optional services if provided
+    if (options.optionalServices && options.optionalServices.length > 0) {
+      requestOptions.optionalServices = options.optionalServices;
+    }
 
-    return navigator.geolocation.watchPosition(
-      callback,
-      (error) => {
-        this._showError(`Geolocation error: ${error.message}`);
-        if (options.onError) options.onError(error);
-      },
-      posOptions
-    );
+    try {
+      return await navigator.bluetooth.requestDevice(requestOptions);
+    } catch (error) {
+      if (error.message && error.message.includes('permissions policy')) {
+        throw new RequesterError(
+          RequesterError.codes.PERMISSION_DENIED,
+          'Bluetooth access blocked by permissions policy. This requires HTTPS and proper permissions.',
+          { capability: 'bluetooth', cause: error }
+        );
+      }
+      throw error;
+    }
   }
 
+  // ========== PERMISSION STATES ==========
+
   /**
-   * Clear geolocation watch
-   * @param {number} watchId - Watch ID to clear
+   * Get the normalized permission state of every capability Requester handles
+   * @returns {Promise<Object<string, string>>} Map of capability to 'granted' | 'denied' | 'prompt' | 'unsupported' | 'unknown'
    */
-  clearGeolocationWatch(watchId) {
-    if (navigator.geolocation && watchId) {
-      navigator.geolocation.clearWatch(watchId);
-    }
+  async getPermissionStates() {
+    const capabilities = Object.keys(CAPABILITY_PERMISSIONS);
+    const states = await Promise.all(capabilities.map(capability => this.checkPermission(capability)));
+
+    return capabilities.reduce((result, capability, idx) => {
+      result[capability] = states[idx];
+      return result;
+    }, {});
   }
 
-  // ========== SCREEN CAPTURE ==========
+  /**
+   * Subscribe to permission state changes (e.g. the user revoking camera access in site settings)
+   * @param {string} capability - Requester capability name or raw permission name
+   * @param {Function} callback - Called with (state, capability) on every change
+   * @returns {Function} Unsubscribe function
+   */
+  onPermissionChange(capability, callback) {
+    let status = null;
+    let cancelled = false;
+    const handler = () => callback(status.state, capability);
+
+    this._queryPermissionStatus(capability).then(result => {
+      if (!result || cancelled) return;
+      status = result;
+      status.addEventListener('change', handler);
+    });
+
+    return () => {
+      cancelled = true;
+      if (status) status.removeEventListener('change', handler);
+    };
+  }
 
   /**
-   * Request screen capture
-   * @param {Object} options - Custom callbacks and display media options
-   * @returns {Promise<MediaStream|null>}
+   * Query the PermissionStatus for a capability, or null if the Permissions API can't answer
+   * @private
    */
-  async requestScreenCapture(options = {}) {
-    try {
-      const constraints = options.constraints || {
-        video: { mediaSource: 'screen' },
-        audio: options.includeAudio || false
-      };
+  async _queryPermissionStatus(capability) {
+    if (!navigator.permissions || !navigator.permissions.query) return null;
 
-      const stream = await navigator.mediaDevices.getDisplayMedia(constraints);
-      this.activeStreams.screen = stream;
-      
-      if (options.onAccept) options.onAccept(stream);
-      return this._handleResponse(true, stream);
+    const descriptor = CAPABILITY_PERMISSIONS[capability] || { name: capability };
+    try {
+      return await navigator.permissions.query(descriptor);
     } catch (error) {
-      this._showError(`Screen capture denied: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
+      return null;
     }
   }
 
   /**
-   * Stop screen capture
+   * Best-effort permission state when the Permissions API doesn't know the capability
+   * @private
    */
-  stopScreenCapture() {
-    if (this.activeStreams.screen) {
-      this.activeStreams.screen.getTracks().forEach(track => track.stop());
-      this.activeStreams.screen = null;
+  _fallbackPermissionState(capability) {
+    switch (capability) {
+      case 'notifications':
+      case 'push':
+        if (!('Notification' in window)) return 'unsupported';
+        return Notification.permission === 'default' ? 'prompt' : Notification.permission;
+      case 'camera':
+      case 'microphone':
+        return navigator.mediaDevices ? 'unknown' : 'unsupported';
+      case 'screen':
+        // getDisplayMedia prompts every time
+        return navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia ? 'prompt' : 'unsupported';
+      case 'geolocation':
+        return navigator.geolocation ? 'unknown' : 'unsupported';
+      case 'midi':
+        return navigator.requestMIDIAccess ? 'unknown' : 'unsupported';
+      case 'clipboard':
+        return navigator.clipboard && navigator.clipboard.readText ? 'unknown' : 'unsupported';
+      case 'bluetooth':
+        return navigator.bluetooth ? 'unknown' : 'unsupported';
+      case 'orientation':
+        if (typeof DeviceOrientationEvent === 'undefined') return 'unsupported';
+        // iOS 13+ gates sensors behind a prompt, elsewhere no permission is needed
+        return typeof DeviceOrientationEvent.requestPermission === 'function' ? 'prompt' : 'granted';
+      default:
+        return 'unknown';
     }
   }
 
-  // ========== MIDI ==========
+  // ========== PERMISSION RECOVERY ==========
 
   /**
-   * Request MIDI access
-   * @param {Object} options - Custom callbacks and MIDI options
-   * @returns {Promise<MIDIAccess|null>}
+   * Show browser-specific instructions to re-enable a blocked permission
+   * Does nothing unless checkPermission reports the capability as denied
+   * @param {string} capability - Capability name
+   * @param {Object} options - locale, retry (default true: retry once granted again, or offer a button when reset to prompt),
+   *   onRetry(result) and the request's own callbacks
+   * @returns {Promise<{close: Function}|null>} Panel handle, or null if the permission isn't blocked
    */
-  async requestMIDI(options = {}) {
-    try {
-      if (!navigator.requestMIDIAccess) {
-        const error = 'Web MIDI not supported';
-        this._showError(error);
-        if (options.onDecline) options.onDecline(error);
-        return this._handleResponse(false, null, error);
-      }
+  async showPermissionRecovery(capability, options = {}) {
+    if (!(await this._isPermissionBlocked(capability))) return null;
+
+    const strings = this._getRecoveryStrings(options.locale);
+    const browser = Requester.detectBrowser();
+    const label = strings.capabilities[capability] || capability;
+    const fill = text => text.replace(/\{capability\}/g, label);
+
+    const panel = document.createElement('div');
+    Object.assign(panel.style, this.settings.recoveryPanelStyle);
+    panel.setAttribute('role', 'alert');
+    panel.dataset.capability = capability;
+    panel.dataset.browser = browser;
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = '\u00d7';
+    closeButton.setAttribute('aria-label', strings.dismiss);
+    Object.assign(closeButton.style, {
+      float: 'right',
+      border: 'none',
+      background: 'transparent',
+      fontSize: '18px',
+      cursor: 'pointer',
+      marginLeft: '8px'
+    });
+
+    const title = document.createElement('strong');
+    title.textContent = fill(strings.title);
+
+    const list = document.createElement('ol');
+    Object.assign(list.style, { margin: '10px 0 0', paddingLeft: '20px', lineHeight: '1.5' });
+    (strings.steps[browser] || strings.steps.other).forEach(step => {
+      const item = document.createElement('li');
+      item.textContent = fill(step);
+      list.appendChild(item);
+    });
 
-      const midiOptions = {
-        sysex: options.sysex || false
+    panel.appendChild(closeButton);
+    panel.appendChild(title);
+    panel.appendChild(list);
+
+    const unsubscribers = [];
+    const close = () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      panel.remove();
+    };
+    closeButton.addEventListener('click', close);
+
+    // Retry automatically once the user flips the permission back to granted
+    const method = Requester.requestMethods[capability];
+    if (options.retry !== false && method) {
+      const watched = capability === 'camera-microphone' ? ['camera', 'microphone'] : [capability];
+      const retry = async () => {
+        close();
+        try {
+          const result = await this[method]({ ...options, softAsk: false });
+          if (options.onRetry) options.onRetry(result);
+        } catch (error) {
+          // resultMode 'reject': the retry's own callbacks already saw the error, don't leave it unhandled
+        }
       };
 
-      const midiAccess = await navigator.requestMIDIAccess(midiOptions);
-      
-      if (options.onAccept) options.onAccept(midiAccess);
-      return this._handleResponse(true, midiAccess);
-    } catch (error) {
-      this._showError(`MIDI access denied: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
+      // Reset to "Ask" needs a click: a prompt opened from the change event has no user gesture and gets denied
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.textContent = strings.retry || Requester.recoveryStrings.en.retry;
+      Object.assign(retryButton.style, { display: 'none', marginTop: '10px', cursor: 'pointer' });
+      retryButton.addEventListener('click', retry);
+      panel.appendChild(retryButton);
+
+      const onChange = async () => {
+        const states = await Promise.all(watched.map(name => this.checkPermission(name)));
+        if (states.every(state => state === 'granted')) {
+          await retry();
+        } else {
+          retryButton.style.display = states.includes('denied') ? 'none' : '';
+        }
+      };
+      watched.forEach(name => unsubscribers.push(this.onPermissionChange(name, onChange)));
     }
-  }
 
-  // ========== CLIPBOARD ==========
+    document.body.appendChild(panel);
+    return { close };
+  }
 
   /**
-   * Request clipboard read permission
-   * @param {Object} options - Custom callbacks
-   * @returns {Promise<string|null>}
+   * Whether the browser will no longer prompt for a capability
+   * @private
    */
-  async requestClipboardRead(options = {}) {
-    try {
-      const text = await navigator.clipboard.readText();
-      
-      if (options.onAccept) options.onAccept(text);
-      return this._handleResponse(true, text);
-    } catch (error) {
-      this._showError(`Clipboard read denied: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
-    }
+  async _isPermissionBlocked(capability) {
+    const names = capability === 'camera-microphone' ? ['camera', 'microphone'] : [capability];
+    const states = await Promise.all(names.map(name => this.checkPermission(name)));
+    return states.includes('denied');
   }
 
   /**
-   * Write to clipboard
-   * @param {string} text - Text to write
-   * @returns {Promise<boolean>}
+   * Pick recovery strings for a locale, falling back to the language and then English
+   * @private
    */
-  async writeClipboard(text) {
-    try {
-      await navigator.clipboard.writeText(text);
-      return true;
-    } catch (error) {
-      this._showError(`Clipboard write failed: ${error.message}`);
-      return false;
-    }
+  _getRecoveryStrings(locale) {
+    const requested = locale || this.settings.locale ||
+      (typeof navigator !== 'undefined' && navigator.language) || 'en';
+    const language = requested.split('-')[0];
+    return Requester.recoveryStrings[requested] ||
+      Requester.recoveryStrings[language] ||
+      Requester.recoveryStrings.en;
   }
 
-  // ========== FULLSCREEN ==========
+  // ========== BATCH REQUESTS ==========
 
   /**
-   * Request fullscreen mode
-   * @param {HTMLElement} element - Element to fullscreen (defaults to document.documentElement)
-   * @param {Object} options - Custom callbacks
-   * @returns {Promise<boolean>}
+   * Request several capabilities in one go (onboarding flows)
+   * @param {Array<string|Object>} capabilities - Capability names or { capability, options, explain }
+   * @param {Object} options - mode ('sequential' | 'parallel'), stopOnDecline, explain (true or { capability: text })
+   * @returns {Promise<Object>} Map of capability to { status, value, error }, status being
+   *   'granted' | 'already-granted' | 'declined' | 'skipped'
    */
-  async requestFullscreen(element = document.documentElement, options = {}) {
-    try {
-      if (element.requestFullscreen) {
-        await element.requestFullscreen();
-      } else if (element.webkitRequestFullscreen) {
-        await element.webkitRequestFullscreen();
-      } else if (element.msRequestFullscreen) {
-        await element.msRequestFullscreen();
+  async requestMany(capabilities = [], options = {}) {
+    const { mode = 'sequential', stopOnDecline = false, explain = false } = options;
+    const steps = capabilities.map(item => (typeof item === 'string' ? { capability: item } : item));
+    const summary = {};
+
+    // Skip anything the user already granted
+    const pending = [];
+    for (const step of steps) {
+      if (!Requester.requestMethods[step.capability]) {
+        summary[step.capability] = {
+          status: 'declined',
+          value: null,
+          error: new RequesterError(
+            RequesterError.codes.INVALID_ARGUMENT,
+            `Unknown capability: ${step.capability}`,
+            { capability: step.capability }
+          )
+        };
+      } else if (await this.checkPermission(step.capability) === 'granted') {
+        summary[step.capability] = { status: 'already-granted', value: null, error: null };
       } else {
-        throw new Error('Fullscreen not supported');
+        pending.push(step);
       }
-      
-      if (options.onAccept) options.onAccept();
-      return this._handleResponse(true, true);
-    } catch (error) {
-      this._showError(`Fullscreen request failed: ${error.message}`);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, false, error);
     }
-  }
 
-  /**
-   * Exit fullscreen mode
-   */
-  exitFullscreen() {
-    if (document.exitFullscreen) {
-      document.exitFullscreen();
-    } else if (document.webkitExitFullscreen) {
-      document.webkitExitFullscreen();
-    } else if (document.msExitFullscreen) {
-      document.msExitFullscreen();
+    const explanationFor = (step) => {
+      if (step.explain) return step.explain;
+      if (!explain) return null;
+      return (typeof explain === 'object' && explain[step.capability]) ||
+        Requester.defaultExplanations[step.capability];
+    };
+
+    if (mode === 'parallel') {
+      const explanations = pending.map(explanationFor).filter(Boolean);
+      if (explanations.length > 0) {
+        const accepted = await this._showDialog({
+          title: 'Permissions needed',
+          message: explanations.join('\n\n')
+        });
+        if (!accepted) {
+          pending.forEach(step => {
+            summary[step.capability] = this._dismissedStep(step.capability);
+          });
+          return summary;
+        }
+      }
+
+      const overrides = explanations.length > 0 ? { softAsk: false } : {};
+      const results = await Promise.all(pending.map(step => this._runCapabilityRequest(step, overrides)));
+      pending.forEach((step, idx) => {
+        summary[step.capability] = results[idx];
+      });
+      return summary;
     }
-  }
 
-  // ========== DEVICE ORIENTATION ==========
+    let stopped = false;
+    for (let idx = 0; idx < pending.length; idx++) {
+      const step = pending[idx];
+
+      if (stopped) {
+        summary[step.capability] = { status: 'skipped', value: null, error: null };
+        continue;
+      }
+
+      const explanation = explanationFor(step);
+      let result;
+      if (explanation && !(await this._showDialog({
+        step: pending.length > 1 ? `Step ${idx + 1} of ${pending.length}` : null,
+        message: explanation
+      }))) {
+        result = this._dismissedStep(step.capability);
+      } else {
+        result = await this._runCapabilityRequest(step, explanation ? { softAsk: false } : {});
+      }
+
+      summary[step.capability] = result;
+      if (result.status === 'declined' && stopOnDecline) {
+        stopped = true;
+      }
+    }
+
+    return summary;
+  }
 
   /**
-   * Request device orientation/motion permission (iOS 13+)
-   * @param {Object} options - Custom callbacks
-   * @returns {Promise<string|null>}
+   * Run one requestX method and normalize its outcome whatever the resultMode
+   * @private
    */
-  async requestDeviceOrientation(options = {}) {
+  async _runCapabilityRequest(step, overrides = {}) {
+    const capability = step.capability;
+    const callOptions = { ...step.options, ...overrides };
+    let declineError = null;
+
     try {
-      if (typeof DeviceOrientationEvent !== 'undefined' && 
-          typeof DeviceOrientationEvent.requestPermission === 'function') {
-        const permission = await DeviceOrientationEvent.requestPermission();
-        
-        if (permission === 'granted') {
-          if (options.onAccept) options.onAccept(permission);
-          return this._handleResponse(true, permission);
-        } else {
-          const error = 'Device orientation permission denied';
-          this._showError(error);
-          if (options.onDecline) options.onDecline(error);
-          return this._handleResponse(false, null, error);
+      const response = await this[Requester.requestMethods[capability]]({
+        ...callOptions,
+        onDecline: (error) => {
+          declineError = error;
+          if (callOptions.onDecline) callOptions.onDecline(error);
         }
-      } else {
-        // Permission not required on this device
-        if (options.onAccept) options.onAccept('granted');
-        return this._handleResponse(true, 'granted');
+      });
+      const value = this.settings.resultMode === 'result' ? response.value : response;
+
+      if (declineError || value === null) {
+        return { status: 'declined', value: null, error: declineError };
       }
+      return { status: 'granted', value, error: null };
     } catch (error) {
-      this._showError(`Device orientation error: ${error.message}`);
-      if (options.onError) options.onError(error);
-      return this._handleResponse(false, null, error);
+      return { status: 'declined', value: null, error: RequesterError.from(error, capability) };
     }
   }
 
-  // ========== MAILTO ==========
-
   /**
-   * Open mailto link with custom parameters
-   * @param {Object} params - Email parameters
-   * @returns {boolean}
+   * Summary entry for a step the user declined in the explanation dialog
+   * @private
    */
-  openMailto(params = {}) {
-    try {
-      const { to = '', cc = '', bcc = '', subject = '', body = '' } = params;
-      
-      const mailtoParams = [];
-      if (cc) mailtoParams.push(`cc=${encodeURIComponent(cc)}`);
-      if (bcc) mailtoParams.push(`bcc=${encodeURIComponent(bcc)}`);
-      if (subject) mailtoParams.push(`subject=${encodeURIComponent(subject)}`);
-      if (body) mailtoParams.push(`body=${encodeURIComponent(body)}`);
-      
-      const mailtoLink = `mailto:${to}${mailtoParams.length ? '?' + mailtoParams.join('&') : ''}`;
-      window.location.href = mailtoLink;
-      
-      return true;
-    } catch (error) {
-      this._showError(`Mailto error: ${error.message}`);
-      return false;
-    }
+  _dismissedStep(capability) {
+    return {
+      status: 'declined',
+      value: null,
+      error: new RequesterError(RequesterError.codes.DISMISSED, 'Declined before the browser prompt', { capability })
+    };
   }
 
-  // ========== BLUETOOTH ==========
+  // ========== BLUETOOTH GATT ==========
 
   /**
-   * Request Bluetooth device access
-   * @param {Object} options - Custom callbacks and filter options
-   * @returns {Promise<BluetoothDevice|null>}
+   * Connect to a Bluetooth device's GATT server
+   * @param {Object} options - device (skips the chooser), requestBluetooth options (filters, optionalServices,
+   *   callbacks), BluetoothSession options (reconnect, maxRetries, initialDelay, maxDelay) and
+   *   exclusive (fail with IN_USE while another tab has claimed the device)
+   * @returns {Promise<BluetoothSession|null>}
    */
-  async requestBluetooth(options = {}) {
-    try {
-      if (!navigator.bluetooth) {
-        const error = 'Web Bluetooth not supported in this browser';
-        this._showError(error);
-        if (options.onDecline) options.onDecline(error);
-        return this._handleResponse(false, null, error);
-      }
-
-      // Check if bluetooth is available (requires HTTPS)
-      if (window.location.protocol !== 'https:' && window.location.hostname !== 'localhost') {
-        const error = 'Web Bluetooth requires HTTPS';
-        this._showError(error);
-        if (options.onDecline) options.onDecline(error);
-        return this._handleResponse(false, null, error);
-      }
+  async connectBluetooth(options = {}) {
+    let claim = null;
+    let session = null;
 
-      const requestOptions = {};
+    try {
+      const device = options.device || await this._requestBluetoothDevice(options);
 
-      // If no filters provided, accept all devices
-      if (!options.filters || options.filters.length === 0) {
-        requestOptions.acceptAllDevices = true;
-      } else {
-        requestOptions.filters = options.filters;
+      if (options.exclusive) {
+        claim = await this._claimExclusive('bluetooth', `bluetooth:${device.id}`, device.name || 'Bluetooth device');
       }
 
-      // Add optional services if provided
-      if (options.optionalServices && options.optionalServices.length > 0) {
-        requestOptions.optionalServices = options.optionalServices;
+      session = new BluetoothSession(device, options);
+      await session.connect();
+      if (claim) {
+        session.on('close', () => claim.release());
+        session.on('reconnectfailed', () => claim.release());
       }
 
-      const device = await navigator.bluetooth.requestDevice(requestOptions);
-      
-      if (options.onAccept) options.onAccept(device);
-      return this._handleResponse(true, device);
+      // Reported only once the device is claimed and connected
+      if (options.onAccept) options.onAccept(session);
+      return this._handleResponse(true, session);
     } catch (error) {
-      const errorMsg = error.message.includes('permissions policy') 
-        ? 'Bluetooth access blocked by permissions policy. This requires HTTPS and proper permissions.'
-        : `Bluetooth access denied: ${error.message}`;
-      this._showError(errorMsg);
-      if (options.onDecline) options.onDecline(error);
-      return this._handleResponse(false, null, error);
+      if (session) session.dispose();
+      if (claim) claim.release();
+      return this._fail('bluetooth', error, options, 'Bluetooth connection failed');
+    }
+  }
+
+  // ========== CROSS-TAB ==========
+
+  /**
+   * Claim a resource for this tab or throw IN_USE
+   * @private
+   */
+  async _claimExclusive(capability, resource, label) {
+    const claim = await this.tabs.claim(resource);
+    if (!claim) {
+      throw new RequesterError(
+        RequesterError.codes.IN_USE,
+        `${label} is in use in another tab`,
+        { capability }
+      );
     }
+    return claim;
   }
 
   // ========== UTILITY METHODS ==========
@@ -797,20 +5395,19 @@ class Requester {
     this.stopCamera();
     this.stopMicrophone();
     this.stopScreenCapture();
+    this.streams.stopAll();
   }
 
   /**
    * Check if a permission is granted
-   * @param {string} permissionName - Name of the permission
+   * @param {string} permissionName - Requester capability name (camera, notifications, ...) or raw permission name
    * @returns {Promise<string>} Permission state
    */
   async checkPermission(permissionName) {
-    try {
-      const result = await navigator.permissions.query({ name: permissionName });
-      return result.state;
-    } catch (error) {
-      return 'unknown';
-    }
+    const status = await this._queryPermissionStatus(permissionName);
+    if (status) return status.state;
+
+    return this._fallbackPermissionState(permissionName);
   }
 
   /**
@@ -827,9 +5424,573 @@ class Requester {
   }
 }
 
+/**
+ * Request method behind each capability name (used by requestMany)
+ */
+Requester.requestMethods = {
+  notifications: 'requestNotifications',
+  push: 'requestPush',
+  camera: 'requestCamera',
+  microphone: 'requestMicrophone',
+  'camera-microphone': 'requestCameraAndMicrophone',
+  geolocation: 'requestGeolocation',
+  screen: 'requestScreenCapture',
+  midi: 'requestMIDI',
+  clipboard: 'requestClipboardRead',
+  orientation: 'requestDeviceOrientation',
+  bluetooth: 'requestBluetooth'
+};
+
+/**
+ * Rationale shown before each native prompt when requestMany runs with explain: true
+ */
+Requester.defaultExplanations = {
+  notifications: 'We\'d like to send you notifications so you don\'t miss important updates.',
+  push: 'We\'d like to send you notifications even when this page is closed.',
+  'camera-microphone': 'We need access to your camera and microphone for this feature.',
+  camera: 'We need access to your camera for this feature.',
+  microphone: 'We need access to your microphone for this feature.',
+  geolocation: 'We\'d like to use your location to show relevant results nearby.',
+  screen: 'We need permission to capture your screen for this feature.',
+  midi: 'We\'d like to connect to your MIDI devices.',
+  clipboard: 'We\'d like to read your clipboard so you can paste content.',
+  orientation: 'We\'d like to use your device\'s motion sensors.',
+  bluetooth: 'We\'d like to connect to a nearby Bluetooth device.',
+  fullscreen: 'We\'d like to switch to fullscreen.',
+  sensor: 'We\'d like to use your device\'s sensors.'
+};
+
+/**
+ * Error codes that mean the user declined, so neither per-call nor global onError is fired for them
+ */
+Requester.declineCodes = [
+  RequesterError.codes.PERMISSION_DENIED,
+  RequesterError.codes.DISMISSED,
+  RequesterError.codes.SOFT_DECLINED
+];
+
+/**
+ * Page <-> Service Worker RPC protocol version, must match PROTOCOL_VERSION in requester-sw.js
+ */
+Requester.serviceWorkerProtocolVersion = 2;
+
+/**
+ * Named repeat intervals for scheduleNotification (daily and weekly keep the local time of day across DST changes)
+ */
+Requester.repeatIntervals = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Generic Sensor API classes behind each requestSensor type, the permissions they need,
+ * the shape of their readings and the deviceorientation/devicemotion fallback (if any)
+ */
+Requester.sensorTypes = {
+  accelerometer: { className: 'Accelerometer', permissions: ['accelerometer'], reading: 'xyz', fallback: 'gravity-acceleration' },
+  'linear-acceleration': { className: 'LinearAccelerationSensor', permissions: ['accelerometer'], reading: 'xyz', fallback: 'acceleration' },
+  gravity: { className: 'GravitySensor', permissions: ['accelerometer'], reading: 'xyz', fallback: null },
+  gyroscope: { className: 'Gyroscope', permissions: ['gyroscope'], reading: 'xyz', fallback: 'rotation' },
+  magnetometer: { className: 'Magnetometer', permissions: ['magnetometer'], reading: 'xyz', fallback: null },
+  'absolute-orientation': {
+    className: 'AbsoluteOrientationSensor',
+    permissions: ['accelerometer', 'gyroscope', 'magnetometer'],
+    reading: 'quaternion',
+    fallback: 'absolute-orientation'
+  },
+  'relative-orientation': {
+    className: 'RelativeOrientationSensor',
+    permissions: ['accelerometer', 'gyroscope'],
+    reading: 'quaternion',
+    fallback: 'orientation'
+  },
+  'ambient-light': { className: 'AmbientLightSensor', permissions: ['ambient-light-sensor'], reading: 'illuminance', fallback: null }
+};
+
+/**
+ * Convert deviceorientation angles (degrees) to an [x, y, z, w] quaternion like OrientationSensor
+ * @returns {number[]}
+ */
+Requester.eulerToQuaternion = function (alpha, beta, gamma) {
+  const toRadians = Math.PI / 180;
+  const x = beta * toRadians / 2;
+  const y = gamma * toRadians / 2;
+  const z = alpha * toRadians / 2;
+  const cX = Math.cos(x);
+  const cY = Math.cos(y);
+  const cZ = Math.cos(z);
+  const sX = Math.sin(x);
+  const sY = Math.sin(y);
+  const sZ = Math.sin(z);
+
+  return [
+    sX * cY * cZ - cX * sY * sZ,
+    cX * sY * cZ + sX * cY * sZ,
+    cX * cY * sZ + sX * sY * cZ,
+    cX * cY * cZ - sX * sY * sZ
+  ];
+};
+
+/**
+ * Detect the browser family from the user agent
+ * @param {string} userAgent - Defaults to navigator.userAgent
+ * @returns {string} 'edge' | 'chrome' | 'firefox' | 'safari' | 'other'
+ */
+Requester.detectBrowser = function (userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '') {
+  if (/Edg(e|A|iOS)?\//.test(userAgent)) return 'edge';
+  if (/Firefox\/|FxiOS\//.test(userAgent)) return 'firefox';
+  if (/Chrome\/|Chromium\/|CriOS\//.test(userAgent)) return 'chrome';
+  if (/Safari\//.test(userAgent)) return 'safari';
+  return 'other';
+};
+
+/**
+ * Localized instructions for re-enabling a blocked permission (keyed by locale then browser) and the default button label
+ * Add a locale with Requester.recoveryStrings['xx'] = { ... }
+ */
+Requester.recoveryStrings = {
+  en: {
+    title: '{capability} access is blocked',
+    dismiss: 'Dismiss',
+    retry: 'Try again',
+    enable: 'Enable {capability}',
+    capabilities: {
+      camera: 'Camera',
+      microphone: 'Microphone',
+      'camera-microphone': 'Camera and microphone',
+      notifications: 'Notifications',
+      push: 'Notifications',
+      geolocation: 'Location',
+      midi: 'MIDI devices',
+      clipboard: 'Clipboard',
+      bluetooth: 'Bluetooth',
+      screen: 'Screen capture',
+      orientation: 'Motion sensors'
+    },
+    steps: {
+      chrome: [
+        'Click the icon to the left of the address bar',
+        'Open "Site settings"',
+        'Set {capability} to "Allow"',
+        'Come back to this tab'
+      ],
+      edge: [
+        'Click the lock icon to the left of the address bar',
+        'Open "Permissions for this site"',
+        'Set {capability} to "Allow"',
+        'Come back to this tab'
+      ],
+      firefox: [
+        'Click the permissions icon to the left of the address bar',
+        'Clear the "Blocked" entry for {capability}',
+        'Reload the page and allow access when asked'
+      ],
+      safari: [
+        'Open Safari > Settings for This Website (the "aA" menu on iPhone and iPad)',
+        'Set {capability} to "Allow"',
+        'Reload the page'
+      ],
+      other: [
+        'Open your browser\'s site settings for this page',
+        'Allow {capability}',
+        'Reload the page'
+      ]
+    }
+  },
+  es: {
+    title: 'Acceso bloqueado: {capability}',
+    dismiss: 'Cerrar',
+    retry: 'Reintentar',
+    enable: 'Activar {capability}',
+    capabilities: {
+      camera: 'Cámara',
+      microphone: 'Micrófono',
+      'camera-microphone': 'Cámara y micrófono',
+      notifications: 'Notificaciones',
+      push: 'Notificaciones',
+      geolocation: 'Ubicación',
+      midi: 'Dispositivos MIDI',
+      clipboard: 'Portapapeles',
+      bluetooth: 'Bluetooth',
+      screen: 'Captura de pantalla',
+      orientation: 'Sensores de movimiento'
+    },
+    steps: {
+      chrome: [
+        'Haz clic en el icono a la izquierda de la barra de direcciones',
+        'Abre "Configuración del sitio"',
+        'Cambia {capability} a "Permitir"',
+        'Vuelve a esta pestaña'
+      ],
+      edge: [
+        'Haz clic en el candado a la izquierda de la barra de direcciones',
+        'Abre "Permisos para este sitio"',
+        'Cambia {capability} a "Permitir"',
+        'Vuelve a esta pestaña'
+      ],
+      firefox: [
+        'Haz clic en el icono de permisos a la izquierda de la barra de direcciones',
+        'Elimina la entrada "Bloqueado" de {capability}',
+        'Recarga la página y permite el acceso cuando se solicite'
+      ],
+      safari: [
+        'Abre Safari > Ajustes de este sitio web (el menú "aA" en iPhone y iPad)',
+        'Cambia {capability} a "Permitir"',
+        'Recarga la página'
+      ],
+      other: [
+        'Abre los ajustes del sitio en tu navegador',
+        'Permite {capability}',
+        'Recarga la página'
+      ]
+    }
+  }
+};
+
+/**
+ * Pick the best recording mime type the browser supports
+ * @param {string} kind - 'video' or 'audio'
+ * @returns {string} Mime type, or '' to let the browser decide
+ */
+Requester.getSupportedMimeType = function (kind = 'video') {
+  if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+    return '';
+  }
+
+  const candidates = kind === 'audio'
+    ? ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4']
+    : ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4;codecs=avc1,mp4a', 'video/mp4'];
+  return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+/**
+ * Register the <requester-button>, <requester-camera-preview> and <requester-permission-status> custom elements
+ * Elements reflect their capability's permission as a state="granted|denied|prompt" attribute (plus a boolean
+ * attribute of the same name) and dispatch bubbling 'requester-accept', 'requester-decline' and
+ * 'requester-statechange' events. Set element.requester to use another instance than the one given here.
+ * @param {Requester} requester - Instance the elements call into (a new one by default)
+ * @param {Object} options - prefix for the tag names (default 'requester')
+ * @returns {Requester} The instance the elements use
+ */
+Requester.defineElements = function (requester = new Requester(), options = {}) {
+  if (typeof customElements === 'undefined') return requester;
+  const prefix = options.prefix || 'requester';
+  const states = ['granted', 'denied', 'prompt'];
+
+  /**
+   * Shared permission tracking for every Requester element
+   */
+  class RequesterPermissionElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['capability'];
+    }
+
+    get requester() {
+      return this._requester || requester;
+    }
+
+    set requester(instance) {
+      this._requester = instance;
+      if (this.isConnected) this._watchPermission();
+    }
+
+    get capability() {
+      return this.getAttribute('capability') || this.defaultCapability;
+    }
+
+    get state() {
+      return this.getAttribute('state');
+    }
+
+    connectedCallback() {
+      this._watchPermission();
+    }
+
+    disconnectedCallback() {
+      this._unwatchPermission();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue !== newValue && this.isConnected) this._watchPermission();
+    }
+
+    /**
+     * @private
+     */
+    _watchPermission() {
+      this._unwatchPermission();
+      const capability = this.capability;
+      if (!capability) return;
+
+      // Composite capabilities follow each part
+      const names = capability === 'camera-microphone' ? ['camera', 'microphone'] : [capability];
+      this._unsubscribers = names.map(name => this.requester.onPermissionChange(name, () => this._refreshState()));
+      this._refreshState();
+    }
+
+    /**
+     * @private
+     */
+    _unwatchPermission() {
+      (this._unsubscribers || []).forEach(unsubscribe => unsubscribe());
+      this._unsubscribers = [];
+    }
+
+    /**
+     * @private
+     */
+    async _refreshState() {
+      const capability = this.capability;
+      const names = capability === 'camera-microphone' ? ['camera', 'microphone'] : [capability];
+      const results = await Promise.all(names.map(name => this.requester.checkPermission(name)));
+
+      let state = results[0];
+      if (results.includes('denied')) state = 'denied';
+      else if (results.some(result => result !== 'granted')) state = results.find(result => result !== 'granted');
+      this._setState(state);
+    }
+
+    /**
+     * Reflect a state as attributes and announce it
+     * @private
+     */
+    _setState(state) {
+      if (this.getAttribute('state') === state) return;
+
+      this.setAttribute('state', state);
+      states.forEach(name => this.toggleAttribute(name, name === state));
+      this._render();
+      this.dispatchEvent(new CustomEvent('requester-statechange', {
+        bubbles: true,
+        composed: true,
+        detail: { capability: this.capability, state }
+      }));
+    }
+
+    /**
+     * Run the capability's request method and mirror its callbacks as DOM events
+     * @private
+     */
+    async _request(extraOptions = {}) {
+      const capability = this.capability;
+      const method = Requester.requestMethods[capability];
+      const announceDecline = (error) => {
+        this.dispatchEvent(new CustomEvent('requester-decline', {
+          bubbles: true,
+          composed: true,
+          detail: { capability, error }
+        }));
+      };
+
+      this.setAttribute('busy', '');
+      try {
+        if (!method) {
+          throw new RequesterError(RequesterError.codes.INVALID_ARGUMENT, `Unknown capability: ${capability}`, { capability });
+        }
+
+        return await this.requester[method]({
+          ...extraOptions,
+          onAccept: (value) => {
+            // Browsers without the Permissions API for this capability never send a change event
+            this._setState('granted');
+            this.dispatchEvent(new CustomEvent('requester-accept', {
+              bubbles: true,
+              composed: true,
+              detail: { capability, value }
+            }));
+          },
+          onDecline: (error) => {
+            if (error && error.code === RequesterError.codes.PERMISSION_DENIED) this._setState('denied');
+            announceDecline(error);
+          }
+        });
+      } catch (error) {
+        // resultMode 'reject' already sent the error with the decline event; a bad capability never got that far
+        if (!method) {
+          console.error('Requester.js:', error.message);
+          announceDecline(error);
+        }
+        return null;
+      } finally {
+        this.removeAttribute('busy');
+      }
+    }
+
+    /**
+     * @private
+     */
+    _render() {}
+  }
+
+  /**
+   * <requester-button capability="camera">Turn on camera</requester-button>
+   */
+  class RequesterButtonElement extends RequesterPermissionElement {
+    connectedCallback() {
+      if (!this.hasAttribute('role')) this.setAttribute('role', 'button');
+      if (!this.hasAttribute('tabindex')) this.setAttribute('tabindex', '0');
+      if (!this.textContent.trim()) {
+        const strings = this.requester._getRecoveryStrings();
+        const label = strings.capabilities[this.capability] || this.capability || '';
+        this.textContent = (strings.enable || Requester.recoveryStrings.en.enable).replace(/\{capability\}/g, label);
+      }
+
+      if (!this._onActivate) {
+        this._onActivate = (event) => {
+          if (event.type === 'keydown' && event.key !== 'Enter' && event.key !== ' ') return;
+          if (event.type === 'keydown') event.preventDefault();
+          if (this.hasAttribute('disabled') || this.hasAttribute('busy')) return;
+          this._request().catch(error => console.error('Requester.js: Button request failed:', error));
+        };
+        this.addEventListener('click', this._onActivate);
+        this.addEventListener('keydown', this._onActivate);
+      }
+      super.connectedCallback();
+    }
+
+    /**
+     * Run the request as if clicked
+     * @returns {Promise<*>}
+     */
+    request() {
+      return this._request();
+    }
+  }
+
+  /**
+   * <requester-permission-status capability="notifications"></requester-permission-status>
+   * Shows the state as text; override with label-granted, label-denied and label-prompt attributes
+   */
+  class RequesterPermissionStatusElement extends RequesterPermissionElement {
+    /**
+     * @private
+     */
+    _render() {
+      const state = this.state;
+      if (!state) return;
+      this.textContent = this.getAttribute(`label-${state}`) ?? state;
+    }
+  }
+
+  /**
+   * <requester-camera-preview mirror></requester-camera-preview>
+   * Starts the camera when connected (unless manual), shows it in a <video> and stops it when removed
+   * Attributes: manual, mirror, facing ('user' | 'environment'), exclusive
+   */
+  class RequesterCameraPreviewElement extends RequesterPermissionElement {
+    get defaultCapability() {
+      return 'camera';
+    }
+
+    /**
+     * The preview's stream, or null when stopped
+     */
+    get stream() {
+      return this._stream || null;
+    }
+
+    connectedCallback() {
+      if (!this.video) {
+        this.video = document.createElement('video');
+        this.video.autoplay = true;
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.style.width = '100%';
+        this.appendChild(this.video);
+      }
+      this.video.style.transform = this.hasAttribute('mirror') ? 'scaleX(-1)' : '';
+
+      super.connectedCallback();
+      if (!this.hasAttribute('manual')) this.start();
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+      this.stop();
+    }
+
+    /**
+     * Request the camera and attach it to the video element
+     * @returns {Promise<MediaStream|null>}
+     */
+    async start() {
+      if (this._stream || this._starting) return this._starting || this._stream;
+
+      this._streamName = this._streamName || `${prefix}-camera-preview-${++RequesterCameraPreviewElement.count}`;
+      const facing = this.getAttribute('facing');
+
+      this._starting = this._request({
+        name: this._streamName,
+        exclusive: this.hasAttribute('exclusive'),
+        constraints: facing ? { video: { facingMode: facing } } : undefined,
+        onEnded: () => this.stop()
+      }).then(response => {
+        this._starting = null;
+        const stream = this.requester.settings.resultMode === 'result' && response ? response.value : response;
+        if (!stream) return null;
+
+        // Removed from the page while the prompt was open
+        if (!this.isConnected) {
+          this.requester.streams.stop(this._streamName);
+          return null;
+        }
+
+        this._stream = stream;
+        this.video.srcObject = stream;
+        this.setAttribute('active', '');
+        return stream;
+      }).catch(error => {
+        this._starting = null;
+        console.error('Requester.js: Camera preview failed to start:', error);
+        return null;
+      });
+      return this._starting;
+    }
+
+    /**
+     * Stop the preview's stream (other camera streams keep running)
+     */
+    stop() {
+      if (!this._stream) return;
+      this._stream = null;
+      this.video.srcObject = null;
+      this.removeAttribute('active');
+      this.requester.streams.stop(this._streamName);
+    }
+  }
+  RequesterCameraPreviewElement.count = 0;
+
+  const elements = {
+    [`${prefix}-button`]: RequesterButtonElement,
+    [`${prefix}-permission-status`]: RequesterPermissionStatusElement,
+    [`${prefix}-camera-preview`]: RequesterCameraPreviewElement
+  };
+  Object.entries(elements).forEach(([name, element]) => {
+    if (!customElements.get(name)) customElements.define(name, element);
+  });
+
+  return requester;
+};
+
+Requester.RequesterError = RequesterError;
+Requester.MediaStreamManager = MediaStreamManager;
+Requester.MediaRecording = MediaRecording;
+Requester.MicrophoneAnalyser = MicrophoneAnalyser;
+Requester.GeolocationWatcher = GeolocationWatcher;
+Requester.BluetoothSession = BluetoothSession;
+Requester.MIDIController = MIDIController;
+Requester.NotificationManager = NotificationManager;
+Requester.TabCoordinator = TabCoordinator;
+Requester.SensorStream = SensorStream;
+Requester.links = RequesterLinks;
+Requester.parseMIDIMessage = MIDIController.parseMessage;
+Requester.haversineDistance = GeolocationWatcher.distance;
+
 // Export for use in different environments
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Requester;
 } else {
   window.Requester = Requester;
+  window.RequesterError = RequesterError;
 }
@@ -0,0 +1,177 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.navigator = { userAgent: '' };
+global.window = { location: { protocol: 'https:', hostname: 'app.example.test' } };
+const Requester = require('../requester.js');
+const { BluetoothSession } = Requester;
+
+const dataView = bytes => new DataView(Uint8Array.from(bytes).buffer);
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Mocked BluetoothDevice with a heart rate characteristic; failConnects makes the next connects throw
+ */
+function createDevice() {
+  const listeners = new Map();
+  const characteristic = {
+    value: null,
+    listeners: new Set(),
+    notifying: 0,
+    addEventListener(event, listener) { this.listeners.add(listener); },
+    removeEventListener(event, listener) { this.listeners.delete(listener); },
+    async startNotifications() { this.notifying++; },
+    async stopNotifications() { this.notifying--; },
+    notify(bytes) {
+      this.value = dataView(bytes);
+      this.listeners.forEach(listener => listener({ target: this }));
+    }
+  };
+  const server = {
+    getPrimaryService: async () => ({ getCharacteristic: async () => characteristic })
+  };
+  const device = {
+    id: 'device-1',
+    name: 'Strap',
+    characteristic,
+    connects: 0,
+    failConnects: 0,
+    gatt: {
+      connected: false,
+      async connect() {
+        device.connects++;
+        if (device.failConnects > 0) {
+          device.failConnects--;
+          throw Object.assign(new Error('Connection failed'), { name: 'NetworkError' });
+        }
+        device.gatt.connected = true;
+        return server;
+      },
+      disconnect() {
+        device.dropConnection();
+      }
+    },
+    addEventListener(event, listener) { listeners.set(listener, event); },
+    removeEventListener(event, listener) { listeners.delete(listener); },
+    get listenerCount() { return listeners.size; },
+    dropConnection() {
+      device.gatt.connected = false;
+      listeners.forEach((event, listener) => listener());
+    }
+  };
+  return device;
+}
+
+function createRequester(device, settings = {}) {
+  navigator.bluetooth = { requestDevice: async () => device };
+  const requester = new Requester();
+  requester.setSettings({ showErrorPopup: false, ...settings });
+  return requester;
+}
+
+test('parses heart rate measurements', () => {
+  const parse = BluetoothSession.parsers.heartRateMeasurement;
+
+  assert.deepStrictEqual(parse(dataView([0x00, 72])), { heartRate: 72, contactDetected: null, rrIntervals: [] });
+  assert.deepStrictEqual(parse(dataView([0x06, 60])), { heartRate: 60, contactDetected: true, rrIntervals: [] });
+  assert.deepStrictEqual(parse(dataView([0x04, 60])), { heartRate: 60, contactDetected: false, rrIntervals: [] });
+  assert.deepStrictEqual(parse(dataView([0x19, 0x2c, 0x01, 0x10, 0x00, 0x00, 0x04, 0x00, 0x02])), {
+    heartRate: 300,
+    contactDetected: null,
+    energyExpended: 16,
+    rrIntervals: [1, 0.5]
+  });
+});
+
+test('connectBluetooth reports a single accept carrying the connected session', async () => {
+  const device = createDevice();
+  const perCall = [];
+  const fromSettings = [];
+  const requester = createRequester(device, { onAccept: value => fromSettings.push(value) });
+
+  const session = await requester.connectBluetooth({ onAccept: value => perCall.push(value) });
+
+  assert.ok(session instanceof BluetoothSession);
+  assert.ok(session.connected);
+  assert.deepStrictEqual(perCall, [session]);
+  assert.deepStrictEqual(fromSettings, [session]);
+  session.dispose();
+});
+
+test('connectBluetooth only declines when the device is busy or the connect fails', async () => {
+  const device = createDevice();
+  const outcomes = [];
+  const requester = createRequester(device, { resultMode: 'result', onAccept: () => outcomes.push('accept') });
+  const callbacks = {
+    exclusive: true,
+    onAccept: () => outcomes.push('accept'),
+    onDecline: error => outcomes.push(error.code)
+  };
+
+  requester._tabs = { claim: async () => null };
+  const busy = await requester.connectBluetooth(callbacks);
+  assert.strictEqual(busy.error.code, 'in-use');
+
+  let released = 0;
+  requester._tabs = { claim: async () => ({ release: () => released++ }) };
+  device.failConnects = 1;
+  const failed = await requester.connectBluetooth(callbacks);
+  assert.strictEqual(failed.ok, false);
+
+  assert.deepStrictEqual(outcomes, ['in-use', failed.error.code]);
+  assert.strictEqual(released, 1);
+  assert.strictEqual(device.listenerCount, 0);
+});
+
+test('reconnects with exponential backoff and restores subscriptions', async () => {
+  const device = createDevice();
+  const session = new BluetoothSession(device, { initialDelay: 5, maxDelay: 10 });
+  const events = [];
+  session.on('reconnecting', ({ attempt, delay }) => events.push(['reconnecting', attempt, delay]));
+  session.on('reconnected', ({ attempt }) => events.push(['reconnected', attempt]));
+
+  await session.connect();
+  const readings = [];
+  await session.subscribeHeartRate(reading => readings.push(reading.heartRate));
+
+  device.failConnects = 2;
+  device.dropConnection();
+  await wait(100);
+
+  assert.deepStrictEqual(events, [
+    ['reconnecting', 1, 5],
+    ['reconnecting', 2, 10],
+    ['reconnecting', 3, 10],
+    ['reconnected', 3]
+  ]);
+  assert.strictEqual(device.characteristic.listeners.size, 1);
+  assert.strictEqual(device.characteristic.notifying, 2);
+
+  device.characteristic.notify([0x00, 80]);
+  assert.deepStrictEqual(readings, [80]);
+  session.dispose();
+});
+
+test('gives up after maxRetries and stays down after a manual disconnect', async () => {
+  const device = createDevice();
+  const session = new BluetoothSession(device, { initialDelay: 1, maxDelay: 2, maxRetries: 2 });
+  const failures = [];
+  session.on('reconnectfailed', ({ attempts }) => failures.push(attempts));
+
+  await session.connect();
+  device.failConnects = 5;
+  device.dropConnection();
+  await wait(50);
+  assert.deepStrictEqual(failures, [2]);
+  assert.strictEqual(device.connects, 3);
+
+  device.failConnects = 0;
+  await session.connect();
+  session.disconnect();
+  await wait(20);
+  assert.strictEqual(device.connects, 4);
+  assert.strictEqual(session.connected, false);
+  session.dispose();
+});
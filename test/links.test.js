@@ -0,0 +1,77 @@
+'use strict';
+
+// All-day dates must follow the local calendar, so run in a zone far from UTC
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.navigator = { userAgent: '' };
+const Requester = require('../requester.js');
+const links = Requester.links;
+
+const unfold = ics => ics.replace(/\r\n /g, '');
+const property = (ics, name) => unfold(ics).split('\r\n').find(line => line.startsWith(name));
+
+test('ics escapes TEXT values', () => {
+  const ics = links.ics({
+    title: 'Review; part 1, final',
+    description: 'Line one\nLine two with a back\\slash',
+    location: 'Room 4, Floor 2',
+    start: '2026-03-05T10:00:00Z'
+  });
+
+  assert.strictEqual(property(ics, 'SUMMARY'), 'SUMMARY:Review\\; part 1\\, final');
+  assert.strictEqual(property(ics, 'DESCRIPTION'), 'DESCRIPTION:Line one\\nLine two with a back\\\\slash');
+  assert.strictEqual(property(ics, 'LOCATION'), 'LOCATION:Room 4\\, Floor 2');
+});
+
+test('ics folds long lines at 75 octets without splitting characters', () => {
+  const description = 'Ünïcödé ✓ 日本語の説明 🎉 '.repeat(12);
+  const ics = links.ics({ title: 'Folding', description, start: '2026-03-05T10:00:00Z' });
+
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `line too long: ${line}`);
+    assert.ok(!line.includes('�'));
+  }
+  assert.strictEqual(property(ics, 'DESCRIPTION'), `DESCRIPTION:${description}`);
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('ics uses UTC date-times for timed events and defaults to one hour', () => {
+  const ics = links.ics({ title: 'Call', start: '2026-03-05T10:00:00Z' });
+
+  assert.strictEqual(property(ics, 'DTSTART'), 'DTSTART:20260305T100000Z');
+  assert.strictEqual(property(ics, 'DTEND'), 'DTEND:20260305T110000Z');
+});
+
+test('ics all-day events use the local calendar day', () => {
+  // 20:00 in Los Angeles is already the next day in UTC
+  const evening = new Date(2026, 2, 5, 20, 0);
+  const fromDate = links.ics({ title: 'Offsite', start: evening, allDay: true });
+  assert.strictEqual(property(fromDate, 'DTSTART'), 'DTSTART;VALUE=DATE:20260305');
+  assert.strictEqual(property(fromDate, 'DTEND'), 'DTEND;VALUE=DATE:20260306');
+
+  // A bare date is local midnight, and the default end is the next day even across the DST change
+  const fromString = links.ics({ title: 'Clocks change', start: '2026-03-08', allDay: true });
+  assert.strictEqual(property(fromString, 'DTSTART'), 'DTSTART;VALUE=DATE:20260308');
+  assert.strictEqual(property(fromString, 'DTEND'), 'DTEND;VALUE=DATE:20260309');
+});
+
+test('ics rejects events without a title or start', () => {
+  assert.throws(() => links.ics({ title: 'No start' }), { code: 'invalid-argument' });
+  assert.throws(() => links.ics({ title: 'Bad start', start: 'not a date' }), { code: 'invalid-argument' });
+});
+
+test('mailto encodes fields and validates addresses', () => {
+  assert.strictEqual(
+    links.mailto({ to: ['a@example.com', 'b@example.com'], cc: 'c@example.com', subject: 'Hi & bye', body: 'Line\nTwo' }),
+    'mailto:a@example.com,b@example.com?cc=c@example.com&subject=Hi%20%26%20bye&body=Line%0ATwo'
+  );
+  assert.throws(() => links.mailto({ to: 'not-an-address' }), { code: 'invalid-argument' });
+});
+
+test('sms uses the platform specific body separator', () => {
+  assert.strictEqual(links.sms({ to: '+1 555 0100', body: 'Hi', platform: 'ios' }), 'sms:+15550100&body=Hi');
+  assert.strictEqual(links.sms({ to: '+1 555 0100', body: 'Hi', platform: 'android' }), 'sms:+15550100?body=Hi');
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.navigator = { userAgent: '' };
+const Requester = require('../requester.js');
+const parse = Requester.parseMIDIMessage;
+
+test('parses channel voice messages with 1-based channels', () => {
+  assert.deepStrictEqual(parse([0x90, 60, 100]), { type: 'noteon', channel: 1, note: 60, velocity: 100 });
+  assert.deepStrictEqual(parse([0x8f, 60, 64]), { type: 'noteoff', channel: 16, note: 60, velocity: 64 });
+  assert.deepStrictEqual(parse([0xa2, 61, 30]), { type: 'keypressure', channel: 3, note: 61, pressure: 30 });
+  assert.deepStrictEqual(parse([0xb0, 7, 127]), { type: 'cc', channel: 1, controller: 7, value: 127 });
+  assert.deepStrictEqual(parse([0xc4, 12]), { type: 'programchange', channel: 5, program: 12 });
+  assert.deepStrictEqual(parse([0xd9, 90]), { type: 'channelpressure', channel: 10, pressure: 90 });
+});
+
+test('treats note on with velocity 0 as note off', () => {
+  assert.deepStrictEqual(parse([0x91, 64, 0]), { type: 'noteoff', channel: 2, note: 64, velocity: 0 });
+});
+
+test('centers pitch bend on 0', () => {
+  assert.strictEqual(parse([0xe0, 0x00, 0x40]).value, 0);
+  assert.strictEqual(parse([0xe0, 0x00, 0x00]).value, -8192);
+  assert.strictEqual(parse([0xe0, 0x7f, 0x7f]).value, 8191);
+});
+
+test('parses system messages without a channel', () => {
+  assert.deepStrictEqual(parse([0xf8]), { type: 'clock', channel: null, data: [] });
+  assert.deepStrictEqual(parse([0xf2, 0x10, 0x01]), { type: 'songposition', channel: null, value: 144 });
+  assert.deepStrictEqual(parse([0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7]), {
+    type: 'sysex',
+    channel: null,
+    data: [0x7e, 0x7f, 0x06, 0x01]
+  });
+  assert.strictEqual(parse([0xf4]).type, 'unknown');
+});
+
+test('accepts typed arrays as delivered by MIDIMessageEvent', () => {
+  assert.deepStrictEqual(parse(new Uint8Array([0x93, 36, 80])), { type: 'noteon', channel: 4, note: 36, velocity: 80 });
+});
+
+/**
+ * Mocked MIDIAccess with inputs that record their listeners
+ */
+function createAccess(inputNames = ['Keys', 'Pads']) {
+  const port = (id, name, type) => ({
+    id,
+    name,
+    type,
+    state: 'connected',
+    listeners: new Set(),
+    addEventListener(event, listener) { this.listeners.add(listener); },
+    removeEventListener(event, listener) { this.listeners.delete(listener); },
+    send() {}
+  });
+  const access = {
+    inputs: new Map(inputNames.map((name, idx) => [`in-${idx}`, port(`in-${idx}`, name, 'input')])),
+    outputs: new Map([['out-0', port('out-0', 'Synth', 'output')]]),
+    statechange: null,
+    addEventListener(event, listener) { access.statechange = listener; },
+    removeEventListener() { access.statechange = null; },
+    plug(id, name) {
+      const input = port(id, name, 'input');
+      access.inputs.set(id, input);
+      access.statechange({ port: input });
+      return input;
+    }
+  };
+  return access;
+}
+
+function createRequester(access, settings = {}) {
+  global.window = { location: { protocol: 'https:', hostname: 'app.example.test' } };
+  navigator.requestMIDIAccess = async () => access;
+
+  const requester = new Requester();
+  requester.setSettings({ showErrorPopup: false, ...settings });
+  return requester;
+}
+
+test('connectMIDI reports a single accept carrying the controller', async () => {
+  const perCall = [];
+  const fromSettings = [];
+  const requester = createRequester(createAccess(), { onAccept: value => fromSettings.push(value) });
+
+  const controller = await requester.connectMIDI({ onAccept: value => perCall.push(value) });
+
+  assert.ok(controller instanceof Requester.MIDIController);
+  assert.deepStrictEqual(perCall, [controller]);
+  assert.deepStrictEqual(fromSettings, [controller]);
+  controller.close();
+});
+
+test('connectMIDI fails and releases an exclusive claim for an unknown input', async () => {
+  const access = createAccess();
+  const declines = [];
+  const requester = createRequester(access, { resultMode: 'result' });
+  let released = 0;
+  requester._tabs = { claim: async () => ({ release: () => released++ }) };
+
+  const response = await requester.connectMIDI({
+    exclusive: true,
+    input: 'Drums',
+    onAccept: () => assert.fail('accepted an unknown input'),
+    onDecline: error => declines.push(error.code)
+  });
+
+  assert.strictEqual(response.ok, false);
+  assert.strictEqual(response.error.code, 'invalid-argument');
+  assert.deepStrictEqual(declines, ['invalid-argument']);
+  assert.strictEqual(released, 1);
+  assert.strictEqual(access.statechange, null);
+});
+
+test('a selected input ignores hot-plugged ports, listening to all picks them up', () => {
+  const access = createAccess();
+  const selected = new Requester.MIDIController(access, { input: 'pads' });
+  assert.strictEqual(selected.input.name, 'Pads');
+  assert.strictEqual(access.inputs.get('in-0').listeners.size, 0);
+
+  assert.throws(() => selected.selectInput('Drums'), { code: 'invalid-argument' });
+  assert.strictEqual(selected.input.name, 'Pads');
+
+  assert.strictEqual(access.plug('in-2', 'Drums').listeners.size, 0);
+  selected.close();
+
+  const all = new Requester.MIDIController(createAccess());
+  const messages = [];
+  all.on('noteon', message => messages.push(message.input.name));
+  const plugged = all.access.plug('in-2', 'Drums');
+  plugged.listeners.forEach(listener => listener({ data: [0x90, 60, 100], timeStamp: 0 }));
+  assert.deepStrictEqual(messages, ['Drums']);
+  all.close();
+});
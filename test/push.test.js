@@ -0,0 +1,194 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Mocked push service: hands out subscriptions and delivers payloads to the worker
+ */
+function createPushManager() {
+  const pushManager = {
+    subscription: null,
+    async subscribe(options) {
+      pushManager.subscription = {
+        endpoint: 'https://push.example.test/send/abc',
+        options,
+        async unsubscribe() {
+          pushManager.subscription = null;
+          return true;
+        }
+      };
+      return pushManager.subscription;
+    },
+    async getSubscription() {
+      return pushManager.subscription;
+    }
+  };
+  return pushManager;
+}
+
+function installPageGlobals(registration) {
+  global.window = { PushManager: function PushManager() {}, location: { href: 'https://app.example.test/' } };
+  global.Notification = { permission: 'granted', requestPermission: async () => 'granted' };
+  global.navigator = {
+    userAgent: '',
+    serviceWorker: {
+      register: async () => registration,
+      getRegistration: async () => registration,
+      addEventListener() {}
+    }
+  };
+}
+
+const Requester = require('../requester.js');
+
+test('requestPush subscribes with the decoded VAPID key', async () => {
+  const registration = { pushManager: createPushManager() };
+  installPageGlobals(registration);
+
+  const requester = new Requester();
+  requester.setSettings({ showErrorPopup: false });
+  requester.registerServiceWorker = async () => {
+    requester.serviceWorkerRegistration = registration;
+    return registration;
+  };
+
+  const subscription = await requester.requestPush({ applicationServerKey: 'AQID-_8' });
+
+  assert.strictEqual(subscription, registration.pushManager.subscription);
+  assert.strictEqual(subscription.options.userVisibleOnly, true);
+  assert.deepStrictEqual(Array.from(subscription.options.applicationServerKey), [1, 2, 3, 251, 255]);
+});
+
+test('getPushSubscription and unsubscribePush find the registration after a reload', async () => {
+  const registration = { pushManager: createPushManager() };
+  installPageGlobals(registration);
+  await registration.pushManager.subscribe({ userVisibleOnly: true });
+
+  // A fresh instance, as on a new page load that never called registerServiceWorker()
+  const requester = new Requester();
+  requester.setSettings({ showErrorPopup: false });
+
+  const subscription = await requester.getPushSubscription();
+  assert.strictEqual(subscription.endpoint, 'https://push.example.test/send/abc');
+  assert.strictEqual(requester.serviceWorkerRegistration, registration);
+
+  assert.strictEqual(await requester.unsubscribePush(), true);
+  assert.strictEqual(await requester.getPushSubscription(), null);
+  assert.strictEqual(await requester.unsubscribePush(), false);
+});
+
+test('getPushSubscription returns null without any registration', async () => {
+  installPageGlobals(undefined);
+  const requester = new Requester();
+  assert.strictEqual(await requester.getPushSubscription(), null);
+});
+
+/**
+ * Load requester-sw.js into a sandbox and collect its event listeners
+ */
+function loadServiceWorker() {
+  const listeners = {};
+  const shown = [];
+  const opened = [];
+  const self = {
+    location: { href: 'https://app.example.test/shop/requester-sw.js', origin: 'https://app.example.test' },
+    registration: {
+      scope: 'https://app.example.test/shop/',
+      async showNotification(title, options) {
+        shown.push({ title, options });
+      }
+    },
+    clients: {
+      matchAll: async () => [],
+      openWindow: async url => opened.push(url)
+    },
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    }
+  };
+
+  // No IndexedDB here: storing click metadata fails and is only logged
+  const quietConsole = { log() {}, warn() {}, error() {} };
+  const context = vm.createContext({ self, console: quietConsole, URL, setTimeout, clearTimeout, Date, Math, JSON, Promise });
+  const source = fs.readFileSync(path.join(__dirname, '..', 'requester-sw.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'requester-sw.js' });
+
+  const dispatch = async (type, event) => {
+    let pending;
+    listeners[type]({ ...event, waitUntil: promise => { pending = promise; } });
+    await pending;
+  };
+
+  return {
+    shown,
+    opened,
+    push: data => dispatch('push', { data }),
+    click: (notification, action = '') => dispatch('notificationclick', {
+      action,
+      notification: { ...notification, close() {} }
+    })
+  };
+}
+
+test('service worker shows a notification for a JSON push payload', async () => {
+  const worker = loadServiceWorker();
+  const payload = {
+    title: 'Order shipped',
+    body: 'Arriving Tuesday',
+    tag: 'order-42',
+    buttons: [{ label: 'Track', openUrl: '/orders/42' }, { title: 'Later', action: 'later' }]
+  };
+
+  await worker.push({ json: () => payload, text: () => JSON.stringify(payload) });
+
+  assert.strictEqual(worker.shown.length, 1);
+  const { title, options } = worker.shown[0];
+  assert.strictEqual(title, 'Order shipped');
+  assert.strictEqual(options.body, 'Arriving Tuesday');
+  assert.strictEqual(options.tag, 'order-42');
+  assert.deepStrictEqual(options.actions.map(action => [action.action, action.title]), [
+    ['action-0', 'Track'],
+    ['later', 'Later']
+  ]);
+});
+
+test('service worker falls back to a text body for non-JSON pushes', async () => {
+  const worker = loadServiceWorker();
+
+  await worker.push({ json: () => { throw new SyntaxError('not json'); }, text: () => 'Plain message' });
+
+  assert.strictEqual(worker.shown[0].title, 'Notification');
+  assert.strictEqual(worker.shown[0].options.body, 'Plain message');
+  assert.match(worker.shown[0].options.tag, /^push-\d+$/);
+});
+
+test('a plain click opens the clickAction default URL, or the worker scope', async () => {
+  const worker = loadServiceWorker();
+  const payload = { title: 'Reply', tag: 'with-default', clickAction: { defaultUrl: 'inbox' } };
+
+  await worker.push({ json: () => payload, text: () => '' });
+  await worker.click({ tag: 'with-default' });
+  await worker.click({ tag: 'unknown' });
+
+  assert.deepStrictEqual(worker.opened, ['https://app.example.test/shop/inbox', 'https://app.example.test/shop/']);
+});
+
+test('click actions are validated by the worker', async () => {
+  const worker = loadServiceWorker();
+  const payload = {
+    title: 'Invite',
+    tag: 'invite',
+    buttons: [{ label: 'Open', action: 'open', openUrl: 'events/1', onClick: 'not a function' }],
+    clickAction: { openUrl: 'events', script: 'ignored' }
+  };
+
+  await worker.push({ json: () => payload, text: () => '' });
+  await worker.click({ tag: 'invite' }, 'open');
+  await worker.click({ tag: 'invite' });
+
+  assert.deepStrictEqual(worker.opened, ['https://app.example.test/shop/events/1', 'https://app.example.test/shop/events']);
+});